@@ -0,0 +1,147 @@
+// api/judit/anexos/[cnj]/[attachmentId].js
+// GET /api/judit/anexos/8030912-11.2022.8.05.0080/<attachment_id>?instancia=1
+// Baixa o arquivo de um anexo na JUDIT (streaming, com Content-Type e nome do arquivo).
+// Enquanto a JUDIT ainda coleta o anexo responde 202 { status: "pending" } com Retry-After.
+// O link vem pronto em anexos[].url da rota full (includeAttachments=1).
+// Com sigilo:N na política LGPD do cliente (ou em lgpd=), anexo de processo acima do nível responde 403
+// SEGREDO_DE_JUSTICA; sem os metadados em cache o nível não pode ser conferido e a resposta também é 403.
+
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { attachmentFilename, attachmentState, findCachedAttachment } from '../../../../lib/attachments.js';
+import { authorizeRequest } from '../../../../lib/auth.js';
+import { parseCnj } from '../../../../lib/cnj.js';
+import { classifyUpstreamError, ERROS, errorStatus, setCodeHeader } from '../../../../lib/errors.js';
+import { requestUrl, sendJson } from '../../../../lib/http.js';
+import { downloadAttachment } from '../../../../lib/judit.js';
+import { noteError, observe } from '../../../../lib/observability.js';
+import { readRedactionOption, resolveRedaction } from '../../../../lib/redaction.js';
+import { missingApiKeyMessage } from '../../../../lib/tenants.js';
+import { recordUsage } from '../../../../lib/usage.js';
+
+const PENDING_RETRY_AFTER_S = 30;
+const PENDING_TEXT = /pend|process|collect|colet|not\s*ready|waiting/i;
+
+function sendError(res, { code, message, cnj = null, attachmentId = null, detail = null, status = errorStatus(code) }) {
+  setCodeHeader(res, code);
+  return sendJson(res, {
+    ok: false, status: 'error', cnj, anexo: attachmentId ? { id: attachmentId } : null,
+    erro: { codigo: code, message, detail }
+  }, status);
+}
+
+function sendPending(res, { cnj, attachmentId, instance, status }) {
+  setCodeHeader(res, 'PENDENTE');
+  res.setHeader('Retry-After', String(PENDING_RETRY_AFTER_S));
+  return sendJson(res, {
+    ok: false,
+    status: 'pending',
+    cnj,
+    anexo: { id: attachmentId, instancia: instance, status: status || null },
+    mensagem: 'A JUDIT ainda está coletando este anexo; tente novamente em instantes.',
+    erro: null
+  }, 202);
+}
+
+// Vercel entrega os segmentos dinâmicos em req.query; fora dela, lê do caminho
+function pathParams(req, url) {
+  const parts = url.pathname.split('/').filter(Boolean);
+  const i = parts.indexOf('anexos');
+  const fromPath = (n) => (i >= 0 && parts[i + n] ? decodeURIComponent(parts[i + n]) : '');
+  return {
+    cnj: String(req.query?.cnj || fromPath(1)).trim(),
+    attachmentId: String(req.query?.attachmentId || fromPath(2)).trim()
+  };
+}
+
+// Handler (ANEXOS)
+export default observe('anexos', async function handler(req, res) {
+  try {
+    if (req.method !== 'GET') {
+      res.setHeader('Allow', 'GET');
+      return sendError(res, { code: 'PARAMETRO_INVALIDO', message: 'Método não permitido.', status: 405 });
+    }
+
+    const url = requestUrl(req);
+    const { error: lgpdError, lgpd: requestedLgpd } = readRedactionOption(url.searchParams);
+    const auth = await authorizeRequest(req, res, { route: 'anexos', url, cost: 0 });
+    if (!auth.ok) return sendError(res, { code: auth.code, message: auth.message });
+    const { tenant } = auth;
+    if (lgpdError) return sendError(res, { code: 'PARAMETRO_INVALIDO', message: lgpdError });
+    const lgpd = resolveRedaction(auth.client, requestedLgpd);
+
+    const params = pathParams(req, url);
+    const parsedCnj = parseCnj(params.cnj);
+    if (!parsedCnj.valid) {
+      res.setHeader('X-Cnj-Erro', parsedCnj.error.code);
+      return sendError(res, { code: params.cnj ? 'CNJ_INVALIDO' : 'CNJ_AUSENTE', message: parsedCnj.error.message });
+    }
+    const cnj = parsedCnj.formatted;
+    const { attachmentId } = params;
+    if (!attachmentId) {
+      return sendError(res, { code: 'PARAMETRO_INVALIDO', message: 'Informe o id do anexo.', cnj });
+    }
+
+    if (!tenant.apiKey) {
+      return sendError(res, { code: 'CONFIGURACAO_AUSENTE', message: missingApiKeyMessage(tenant), cnj, attachmentId });
+    }
+
+    // Metadados da última busca com anexos (cache do proxy): status da coleta, instância e nome do arquivo
+    const cached = await findCachedAttachment({ tenant: tenant.id, cnj, attachmentId });
+    if (lgpd?.sigiloMaximo != null && !(cached && cached.secrecyLevel <= lgpd.sigiloMaximo)) {
+      return sendError(res, {
+        code: 'SEGREDO_DE_JUSTICA',
+        message: cached
+          ? ERROS.SEGREDO_DE_JUSTICA.mensagem
+          : 'Sigilo do processo não conferido: consulte a rota full com includeAttachments=1 antes de baixar o anexo.',
+        cnj, attachmentId
+      });
+    }
+    const instance = url.searchParams.get('instancia') || cached?.instance || 1;
+    const state = attachmentState(cached?.attachment?.status);
+    if (state === 'pending') {
+      return sendPending(res, { cnj, attachmentId, instance, status: cached.attachment.status });
+    }
+
+    let upstream;
+    try {
+      upstream = await downloadAttachment({ apiKey: tenant.apiKey, cnj, instance, attachmentId });
+    } catch (err) {
+      noteError(res, err);
+      const status = err?.detail?.status;
+      if (status === 409 || status === 423 || status === 425 || PENDING_TEXT.test(String(err?.detail?.text || ''))) {
+        return sendPending(res, { cnj, attachmentId, instance, status: cached?.attachment?.status });
+      }
+      const code = state === 'error' ? 'NAO_ENCONTRADO' : classifyUpstreamError(err);
+      const message = state === 'error'
+        ? 'A JUDIT não conseguiu coletar este anexo.'
+        : code === 'NAO_ENCONTRADO' ? 'Anexo não encontrado na JUDIT.' : err?.message;
+      return sendError(res, { code, message, cnj, attachmentId, detail: err?.detail || null });
+    }
+
+    const filename = attachmentFilename(cached?.attachment, attachmentId);
+    const length = upstream.headers.get('content-length');
+    res.status(200);
+    res.setHeader('Content-Type', upstream.headers.get('content-type') || 'application/octet-stream');
+    if (length) res.setHeader('Content-Length', length);
+    res.setHeader(
+      'Content-Disposition',
+      upstream.headers.get('content-disposition') ||
+        `attachment; filename="${filename.replace(/[^\x20-\x7e]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(filename)}`
+    );
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    setCodeHeader(res, 'OK');
+    await recordUsage(tenant.id, { anexos_baixados: 1 });
+
+    if (!upstream.body) return res.end();
+    await pipeline(Readable.fromWeb(upstream.body), res);
+
+  } catch (err) {
+    noteError(res, err);
+    if (res.headersSent) return res.end();
+    return sendError(res, {
+      code: err?.status === 400 ? 'PARAMETRO_INVALIDO' : classifyUpstreamError(err),
+      message: err?.message || 'Erro inesperado no proxy'
+    });
+  }
+});
@@ -0,0 +1,155 @@
+// api/judit/audiencias.ics.js
+// GET /api/judit/audiencias.ics?cnj=8030912-11.2022.8.05.0080&key=<api-key>
+// Feed iCalendar com as audiências do processo (lib/hearings.js), para assinar no Google Agenda / Outlook.
+// Clientes de calendário não enviam headers: com PROXY_CLIENTS, a api-key pode ir em ?key=.
+// O feed sai do cache do proxy ou do último snapshot do processo (lib/history.js), sem gastar cota; com o
+// snapshot, uma busca nova na JUDIT atualiza o histórico em segundo plano (e desconta a cota, se houver saldo).
+// Só a primeira assinatura (ou noCache=1) espera a JUDIT: enquanto ela processa responde 503 com Retry-After.
+// lgpd= (e a política do cliente) valem também aqui: movimentações privadas e documentos saem da descrição.
+
+import { authorizeRequest, chargeQuota } from '../../lib/auth.js';
+import { finishLookup, readCached, startLookup } from '../../lib/cache.js';
+import { parseCnj } from '../../lib/cnj.js';
+import { ERROS, classifyUpstreamError, errorStatus, pollCode, setCodeHeader } from '../../lib/errors.js';
+import { extractHearings } from '../../lib/hearings.js';
+import { latestSnapshot } from '../../lib/history.js';
+import { asBool, requestUrl, runInBackground, sendJson } from '../../lib/http.js';
+import { buildCalendar } from '../../lib/ical.js';
+import { lawsuitFromPoll } from '../../lib/instances.js';
+import { createTrace } from '../../lib/judit.js';
+import { annotate, noteError, observe } from '../../lib/observability.js';
+import { formatFonte, sortedSteps } from '../../lib/payload.js';
+import { pollResponses, readPollOptions } from '../../lib/poll.js';
+import { readRedactionOption, redactPoll, redactResponses, resolveRedaction, setRedactionHeader } from '../../lib/redaction.js';
+import { missingApiKeyMessage } from '../../lib/tenants.js';
+import { createTenantRequest, recordCompletion } from '../../lib/usage.js';
+
+const PENDING_RETRY_AFTER_S = 60;
+
+function sendError(res, { code, message, cnj = null, status = errorStatus(code) }) {
+  setCodeHeader(res, code);
+  return sendJson(res, { ok: false, cnj, erro: { codigo: code, message } }, status);
+}
+
+// Busca nova na JUDIT: grava cache e snapshot (finishLookup), lidos pela próxima atualização do calendário
+async function refreshFeed({ tenant, cnj, pollOptions, trace }) {
+  const lookup = await startLookup({
+    tenant: tenant.id, cnj, noCache: true,
+    create: () => createTenantRequest({ tenant, cnj, trace })
+  });
+  if (!lookup.requestId) return;
+  const poll = await finishLookup(lookup, await pollResponses({ apiKey: tenant.apiKey, requestId: lookup.requestId, ...pollOptions, trace }));
+  await recordCompletion(tenant, lookup.requestId, poll);
+}
+
+// Audiências do processo já redigido em iCalendar
+function sendFeed(res, { cnj, lawsuit, code }) {
+  const rd = lawsuit?.response_data || lawsuit;
+  const calendar = buildCalendar({
+    cnj,
+    fonte: formatFonte(rd?.tribunal_acronym || null, rd?.instance || null, { cnj }),
+    hearings: extractHearings(sortedSteps(lawsuit))
+  });
+
+  setCodeHeader(res, code);
+  res.setHeader('Content-Disposition', `inline; filename="audiencias-${cnj.replace(/\D/g, '')}.ics"`);
+  res.setHeader('Cache-Control', 'private, max-age=300');
+  return res.status(200).setHeader('Content-Type', 'text/calendar; charset=utf-8').send(calendar);
+}
+
+// Handler (AUDIENCIAS.ICS)
+export default observe('audiencias', async function handler(req, res) {
+  const trace = createTrace();
+  annotate(res, { trace });
+  try {
+    if (req.method !== 'GET') {
+      res.setHeader('Allow', 'GET');
+      return sendError(res, { code: 'PARAMETRO_INVALIDO', message: 'Método não permitido.', status: 405 });
+    }
+
+    const url = requestUrl(req);
+    const cnjInput = (url.searchParams.get('cnj') || '').trim();
+    const parsedCnj = parseCnj(cnjInput);
+    const noCache = asBool(url.searchParams.get('noCache') || '0');
+    const { error: lgpdError, lgpd: requestedLgpd } = readRedactionOption(url.searchParams);
+
+    const auth = await authorizeRequest(req, res, { route: 'audiencias', url, cost: 0, queryKey: true });
+    if (!auth.ok) return sendError(res, { code: auth.code, message: auth.message, cnj: cnjInput || null });
+    const { tenant } = auth;
+
+    if (!cnjInput) {
+      return sendError(res, { code: 'CNJ_AUSENTE', message: 'Parâmetro "cnj" é obrigatório.' });
+    }
+    if (!parsedCnj.valid) {
+      res.setHeader('X-Cnj-Erro', parsedCnj.error.code);
+      return sendError(res, { code: 'CNJ_INVALIDO', message: parsedCnj.error.message, cnj: cnjInput });
+    }
+    const cnj = parsedCnj.formatted;
+    if (lgpdError) {
+      return sendError(res, { code: 'PARAMETRO_INVALIDO', message: lgpdError, cnj });
+    }
+    const lgpd = resolveRedaction(auth.client, requestedLgpd);
+
+    if (!tenant.apiKey) {
+      return sendError(res, { code: 'CONFIGURACAO_AUSENTE', message: missingApiKeyMessage(tenant), cnj });
+    }
+
+    const pollOptions = readPollOptions(url.searchParams, { defaultWaitMs: tenant.waitMs ?? undefined });
+
+    // Resultado conhecido: cache do proxy ou, expirado o cache, o último snapshot (atualizado em segundo plano)
+    const hit = noCache ? null : await readCached({ tenant: tenant.id, cnj });
+    const snapshot = noCache || hit ? null : await latestSnapshot(tenant.id, cnj);
+    if (hit) {
+      const redacted = redactPoll(hit.cached, lgpd);
+      setRedactionHeader(res, redacted.report);
+      const { lawsuit } = lawsuitFromPoll(redacted.poll);
+      if (!lawsuit) return sendError(res, { code: 'SEGREDO_DE_JUSTICA', message: ERROS.SEGREDO_DE_JUSTICA.mensagem, cnj });
+      res.setHeader('X-Proxy-Cache', 'HIT');
+      return sendFeed(res, { cnj, lawsuit, code: pollCode(redacted.poll, lawsuit) });
+    }
+    if (snapshot) {
+      const { responses: [lawsuit = null], report } = redactResponses([snapshot.lawsuit], lgpd);
+      setRedactionHeader(res, report);
+      // A busca nova é paga: só com saldo na cota; sem saldo o feed segue com o snapshot
+      const quota = await chargeQuota(res, auth.client);
+      if (quota.ok) runInBackground(refreshFeed({ tenant, cnj, pollOptions, trace }));
+      if (!lawsuit) return sendError(res, { code: 'SEGREDO_DE_JUSTICA', message: ERROS.SEGREDO_DE_JUSTICA.mensagem, cnj });
+      res.setHeader('X-Proxy-Cache', 'STALE');
+      res.setHeader('Age', String(Math.max(0, Math.floor((Date.now() - Date.parse(snapshot.verificado_em)) / 1000))));
+      return sendFeed(res, { cnj, lawsuit, code: pollCode({ isCompleted: true }, lawsuit) });
+    }
+
+    // Primeira assinatura (ou noCache=1): entrada válida, só agora desconta a cota diária do cliente (lib/auth.js)
+    const quota = await chargeQuota(res, auth.client);
+    if (!quota.ok) return sendError(res, { code: quota.code, message: quota.message, cnj });
+
+    const lookup = await startLookup({
+      tenant: tenant.id, cnj, noCache,
+      create: () => createTenantRequest({ tenant, cnj, trace })
+    });
+    if (!lookup.cached && !lookup.requestId) {
+      return sendError(res, { code: 'REQUEST_ID_AUSENTE', message: 'request_id não retornado.', cnj });
+    }
+
+    const poll = lookup.cached ||
+      await finishLookup(lookup, await pollResponses({ apiKey: tenant.apiKey, requestId: lookup.requestId, ...pollOptions, trace }));
+    await recordCompletion(tenant, lookup.requestId, poll);
+
+    const redacted = redactPoll(poll, lgpd);
+    setRedactionHeader(res, redacted.report);
+    const { lawsuit } = lawsuitFromPoll(redacted.poll);
+    const code = redacted.refused ? 'SEGREDO_DE_JUSTICA' : pollCode(redacted.poll, lawsuit);
+    if (!lawsuit) {
+      if (code === 'TIMEOUT') {
+        res.setHeader('Retry-After', String(PENDING_RETRY_AFTER_S));
+        return sendError(res, { code, message: 'A JUDIT ainda está processando a busca; tente novamente em instantes.', cnj, status: 503 });
+      }
+      return sendError(res, { code, message: ERROS[code].mensagem, cnj });
+    }
+    return sendFeed(res, { cnj, lawsuit, code });
+
+  } catch (err) {
+    noteError(res, err);
+    return sendError(res, { code: classifyUpstreamError(err), message: err?.message || 'Erro inesperado no proxy' });
+  }
+});
@@ -0,0 +1,72 @@
+// api/judit/callback.js
+// POST /api/judit/callback            → recebe os callbacks da JUDIT (response_created / request_completed)
+// GET  /api/judit/callback?requestId= → situação do callback e log de entregas ao callbackUrl do cliente
+// Configure na JUDIT a URL pública desta rota com JUDIT_CALLBACK_TOKEN no header x-callback-token
+// (ou em ?token=). Sem o token configurado a rota recusa tudo: ela não passa pela autenticação de clientes.
+
+import { callbackToPoll, callbackToken, getCallback, parseCallback, saveCallback, verifyCallbackToken } from '../../lib/callbacks.js';
+import { readJsonBody, requestUrl, sendJson } from '../../lib/http.js';
+import { noteError, observe } from '../../lib/observability.js';
+import { getDeliveries, scheduleWebhooks } from '../../lib/webhooks.js';
+
+function sendError(res, message, status) {
+  return sendJson(res, { ok: false, erro: { message } }, status);
+}
+
+// Handler (CALLBACK)
+export default observe('callback', async function handler(req, res) {
+  try {
+    const url = requestUrl(req);
+
+    if (!callbackToken()) {
+      return sendError(res, 'JUDIT_CALLBACK_TOKEN não configurada.', 500);
+    }
+    if (!verifyCallbackToken(req, url)) {
+      return sendError(res, 'Token de callback inválido.', 401);
+    }
+
+    if (req.method === 'GET') {
+      const requestId = (url.searchParams.get('requestId') || '').trim();
+      if (!requestId) return sendError(res, 'Parâmetro "requestId" é obrigatório.', 400);
+
+      const record = await getCallback(requestId);
+      return sendJson(res, {
+        ok: true,
+        request_id: requestId,
+        request_status: record?.request_status || null,
+        responses: record?.responses?.length || 0,
+        updated_at: record?.updatedAt || null,
+        entregas: await getDeliveries(requestId)
+      }, 200);
+    }
+
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'GET, POST');
+      return sendError(res, 'Método não permitido.', 405);
+    }
+
+    const parsed = parseCallback(await readJsonBody(req));
+    if (!parsed) {
+      return sendError(res, 'Callback não reconhecido: request_id ou event_type ausente.', 400);
+    }
+
+    const record = await saveCallback(parsed);
+    const poll = callbackToPoll(record);
+
+    // Dados completos → encaminha aos clientes que passaram callbackUrl, em segundo plano:
+    // a JUDIT recebe a confirmação na hora e o resultado de cada entrega fica no log (GET)
+    const entregasAgendadas = poll.isCompleted ? await scheduleWebhooks(parsed.requestId, poll) : 0;
+
+    return sendJson(res, {
+      ok: true,
+      request_id: parsed.requestId,
+      event: parsed.event,
+      request_status: record.request_status,
+      entregas_agendadas: entregasAgendadas
+    }, 200);
+
+  } catch (err) {
+    noteError(res, err);
+    return sendError(res, err?.message || 'Erro inesperado no proxy', err?.status || 500);
+  }
+});
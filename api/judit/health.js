@@ -0,0 +1,58 @@
+// api/judit/health.js
+// GET /api/judit/health            → chave da JUDIT configurada, JUDIT alcançável, circuit breaker e métricas do processo
+// GET /api/judit/health?probe=0    → sem consultar a JUDIT (só configuração e métricas)
+// 200 quando tudo está ok; 503 sem chave, com a JUDIT fora do ar (ou recusando a chave) ou com o circuito aberto.
+// Métricas (lib/observability.js): latência por rota, desfechos (completed / partial / timeout...), códigos e respostas da JUDIT.
+
+import { authorizeRequest } from '../../lib/auth.js';
+import { errorStatus } from '../../lib/errors.js';
+import { asBool, requestUrl, sendJson } from '../../lib/http.js';
+import { circuitState, pingJudit } from '../../lib/judit.js';
+import { mockEnabled } from '../../lib/mock.js';
+import { metricsSnapshot, noteError, observe } from '../../lib/observability.js';
+import { missingApiKeyMessage } from '../../lib/tenants.js';
+
+function sendError(res, message, status, detail = null) {
+  return sendJson(res, { ok: false, erro: { message, detail } }, status);
+}
+
+// Handler (HEALTH)
+export default observe('health', async function handler(req, res) {
+  try {
+    if (req.method !== 'GET') {
+      res.setHeader('Allow', 'GET');
+      return sendError(res, 'Método não permitido.', 405);
+    }
+
+    // Monitores de uptime costumam só saber fazer GET: aceita ?key=
+    const url = requestUrl(req);
+    const auth = await authorizeRequest(req, res, { route: 'health', url, cost: 0, queryKey: true });
+    if (!auth.ok) return sendError(res, auth.message, errorStatus(auth.code), { code: auth.code });
+    const { tenant } = auth;
+
+    const probe = asBool(url.searchParams.get('probe') ?? '1');
+    const chaveConfigurada = !!tenant.apiKey;
+    const conexao = chaveConfigurada && probe ? await pingJudit({ apiKey: tenant.apiKey }) : null;
+    const circuito = circuitState();
+
+    const ok = chaveConfigurada && circuito !== 'open' && (!conexao || (conexao.alcancavel && conexao.chave_aceita));
+    res.setHeader('Cache-Control', 'no-store');
+    return sendJson(res, {
+      ok,
+      verificado_em: new Date().toISOString(),
+      judit: {
+        tenant: tenant.id,
+        mock: mockEnabled(),
+        chave_configurada: chaveConfigurada,
+        ...(chaveConfigurada ? {} : { mensagem: missingApiKeyMessage(tenant) }),
+        circuito,
+        conexao
+      },
+      metricas: metricsSnapshot()
+    }, ok ? 200 : 503);
+
+  } catch (err) {
+    noteError(res, err);
+    return sendError(res, err?.message || 'Erro inesperado no proxy', err?.status || 500);
+  }
+});
@@ -0,0 +1,64 @@
+// api/judit/historico.js
+// GET /api/judit/historico?cnj=8030912-11.2022.8.05.0080            → versões guardadas do processo (mais recente primeiro)
+// GET /api/judit/historico?cnj=8030912-11.2022.8.05.0080&id=v3       → um snapshot completo (processo, partes, movimentacoes)
+// Snapshots gravados a cada resultado completo das rotas de movimentações (lib/history.js); diff em /api/judit/historico/diff.
+// lgpd= e a política do cliente valem também aqui (lib/redaction.js).
+
+import { authorizeRequest } from '../../lib/auth.js';
+import { parseCnj } from '../../lib/cnj.js';
+import { ERROS, errorStatus, setCodeHeader } from '../../lib/errors.js';
+import { historyLimit, listSnapshots, loadSnapshot } from '../../lib/history.js';
+import { requestUrl, sendJson } from '../../lib/http.js';
+import { noteError, observe } from '../../lib/observability.js';
+import { readRedactionOption, resolveRedaction, setRedactionHeader } from '../../lib/redaction.js';
+
+function sendError(res, { code, message, cnj = null, detail = null, status = errorStatus(code) }) {
+  setCodeHeader(res, code);
+  return sendJson(res, { ok: false, cnj, erro: { codigo: code, message, detail } }, status);
+}
+
+// Handler (HISTORICO)
+export default observe('historico', async function handler(req, res) {
+  try {
+    if (req.method !== 'GET') {
+      res.setHeader('Allow', 'GET');
+      return sendError(res, { code: 'PARAMETRO_INVALIDO', message: 'Método não permitido.', status: 405 });
+    }
+
+    const url = requestUrl(req);
+    const { error: lgpdError, lgpd: requestedLgpd } = readRedactionOption(url.searchParams);
+
+    // Só lê o store do proxy: conta no rate limit, não na cota diária
+    const auth = await authorizeRequest(req, res, { route: 'historico', url, cost: 0 });
+    if (!auth.ok) return sendError(res, { code: auth.code, message: auth.message });
+    const { tenant } = auth;
+    const lgpd = resolveRedaction(auth.client, requestedLgpd);
+
+    const cnjInput = (url.searchParams.get('cnj') || '').trim();
+    const parsedCnj = parseCnj(cnjInput);
+    if (!parsedCnj.valid) {
+      if (cnjInput) res.setHeader('X-Cnj-Erro', parsedCnj.error.code);
+      return sendError(res, { code: cnjInput ? 'CNJ_INVALIDO' : 'CNJ_AUSENTE', message: cnjInput ? parsedCnj.error.message : ERROS.CNJ_AUSENTE.mensagem });
+    }
+    const cnj = parsedCnj.formatted;
+    if (lgpdError) return sendError(res, { code: 'PARAMETRO_INVALIDO', message: lgpdError, cnj });
+
+    const id = (url.searchParams.get('id') || '').trim();
+    if (id) {
+      const loaded = await loadSnapshot(tenant.id, cnj, id, lgpd);
+      if (!loaded) return sendError(res, { code: 'NAO_ENCONTRADO', message: `Snapshot "${id}" não encontrado no histórico.`, cnj });
+      setRedactionHeader(res, loaded.report);
+      if (loaded.refused) return sendError(res, { code: 'SEGREDO_DE_JUSTICA', message: ERROS.SEGREDO_DE_JUSTICA.mensagem, cnj });
+      setCodeHeader(res, 'OK');
+      return sendJson(res, { ok: true, cnj, snapshot: loaded.snapshot, meta: { lgpd: loaded.report || undefined } });
+    }
+
+    const snapshots = (await listSnapshots(tenant.id, cnj)).reverse();
+    setCodeHeader(res, 'OK');
+    return sendJson(res, { ok: true, cnj, total: snapshots.length, limite: historyLimit(), snapshots });
+
+  } catch (err) {
+    noteError(res, err);
+    return sendError(res, { code: err?.codigo || 'ERRO_INTERNO', message: err?.message || 'Erro inesperado no proxy', status: err?.status || 500 });
+  }
+});
@@ -0,0 +1,95 @@
+// api/judit/historico/diff.js
+// GET /api/judit/historico/diff?cnj=8030912-11.2022.8.05.0080                → penúltima versão → última
+// GET /api/judit/historico/diff?cnj=8030912-11.2022.8.05.0080&de=v2&para=v5  → entre duas versões quaisquer
+// O que mudou: movimentações novas/removidas, partes e advogados adicionados/removidos
+// e alterações de fase, situacao, valor_causa, juiz e orgao (lib/history.js).
+
+import { authorizeRequest } from '../../../lib/auth.js';
+import { parseCnj } from '../../../lib/cnj.js';
+import { ERROS, errorStatus, setCodeHeader } from '../../../lib/errors.js';
+import { changedSections, diffSnapshots, listSnapshots, loadSnapshot } from '../../../lib/history.js';
+import { requestUrl, sendJson } from '../../../lib/http.js';
+import { noteError, observe } from '../../../lib/observability.js';
+import { readRedactionOption, resolveRedaction, setRedactionHeader } from '../../../lib/redaction.js';
+
+function sendError(res, { code, message, cnj = null, detail = null, status = errorStatus(code) }) {
+  setCodeHeader(res, code);
+  return sendJson(res, { ok: false, cnj, erro: { codigo: code, message, detail } }, status);
+}
+
+// Só os metadados da versão (id, datas, request_id) no topo da resposta
+function versionOf(snapshot) {
+  return {
+    id: snapshot.id,
+    capturado_em: snapshot.capturado_em,
+    verificado_em: snapshot.verificado_em,
+    request_id: snapshot.request_id
+  };
+}
+
+// Handler (HISTORICO DIFF)
+export default observe('historico', async function handler(req, res) {
+  try {
+    if (req.method !== 'GET') {
+      res.setHeader('Allow', 'GET');
+      return sendError(res, { code: 'PARAMETRO_INVALIDO', message: 'Método não permitido.', status: 405 });
+    }
+
+    const url = requestUrl(req);
+    const { error: lgpdError, lgpd: requestedLgpd } = readRedactionOption(url.searchParams);
+
+    const auth = await authorizeRequest(req, res, { route: 'historico', url, cost: 0 });
+    if (!auth.ok) return sendError(res, { code: auth.code, message: auth.message });
+    const { tenant } = auth;
+    const lgpd = resolveRedaction(auth.client, requestedLgpd);
+
+    const cnjInput = (url.searchParams.get('cnj') || '').trim();
+    const parsedCnj = parseCnj(cnjInput);
+    if (!parsedCnj.valid) {
+      if (cnjInput) res.setHeader('X-Cnj-Erro', parsedCnj.error.code);
+      return sendError(res, { code: cnjInput ? 'CNJ_INVALIDO' : 'CNJ_AUSENTE', message: cnjInput ? parsedCnj.error.message : ERROS.CNJ_AUSENTE.mensagem });
+    }
+    const cnj = parsedCnj.formatted;
+    if (lgpdError) return sendError(res, { code: 'PARAMETRO_INVALIDO', message: lgpdError, cnj });
+
+    // Padrão: as duas versões mais recentes
+    const index = await listSnapshots(tenant.id, cnj);
+    const deId = (url.searchParams.get('de') || '').trim() || index[index.length - 2]?.id;
+    const paraId = (url.searchParams.get('para') || '').trim() || index[index.length - 1]?.id;
+    if (!deId || !paraId) {
+      return sendError(res, {
+        code: 'NAO_ENCONTRADO', cnj, detail: { versoes: index.length },
+        message: 'O histórico deste processo ainda não tem duas versões para comparar.'
+      });
+    }
+    if (deId === paraId) {
+      return sendError(res, { code: 'PARAMETRO_INVALIDO', message: '"de" e "para" devem ser versões diferentes.', cnj });
+    }
+
+    const [de, para] = await Promise.all([loadSnapshot(tenant.id, cnj, deId, lgpd), loadSnapshot(tenant.id, cnj, paraId, lgpd)]);
+    const missing = !de ? deId : !para ? paraId : null;
+    if (missing) return sendError(res, { code: 'NAO_ENCONTRADO', message: `Snapshot "${missing}" não encontrado no histórico.`, cnj });
+    setRedactionHeader(res, para.report);
+    if (de.refused || para.refused) {
+      return sendError(res, { code: 'SEGREDO_DE_JUSTICA', message: ERROS.SEGREDO_DE_JUSTICA.mensagem, cnj });
+    }
+
+    const alteracoes = diffSnapshots(de.snapshot, para.snapshot);
+    const mudancas = changedSections(alteracoes);
+    setCodeHeader(res, 'OK');
+    return sendJson(res, {
+      ok: true,
+      cnj,
+      de: versionOf(de.snapshot),
+      para: versionOf(para.snapshot),
+      mudou: mudancas.length > 0,
+      mudancas,
+      alteracoes,
+      meta: { lgpd: para.report || undefined }
+    });
+
+  } catch (err) {
+    noteError(res, err);
+    return sendError(res, { code: err?.codigo || 'ERRO_INTERNO', message: err?.message || 'Erro inesperado no proxy', status: err?.status || 500 });
+  }
+});
@@ -0,0 +1,159 @@
+// api/judit/monitoramentos.js
+// Monitoramentos (tracking) de processos na JUDIT
+// GET    /api/judit/monitoramentos[?status=&page=]          → lista
+// GET    /api/judit/monitoramentos?id=<tracking_id>          → detalhe + último resultado (formato full, com lgpd=)
+// POST   /api/judit/monitoramentos  { cnj, recorrencia }     → cria (recorrência em dias)
+// POST   /api/judit/monitoramentos?id=...&acao=pausar|retomar
+// DELETE /api/judit/monitoramentos?id=...
+
+import { authorizeRequest, chargeQuota } from '../../lib/auth.js';
+import { getTrackingResult } from '../../lib/callbacks.js';
+import { parseCnj } from '../../lib/cnj.js';
+import { ERROS, errorStatus } from '../../lib/errors.js';
+import { asBool, publicBaseUrl, readJsonBody, requestUrl, sendJson } from '../../lib/http.js';
+import {
+  createTracking, deleteTracking, getTracking, getTrackingResponses, listTrackings, pauseTracking, resumeTracking
+} from '../../lib/judit.js';
+import { noteError, observe } from '../../lib/observability.js';
+import { buildFullPayload } from '../../lib/payload.js';
+import { readRedactionOption, redactResponses, resolveRedaction, setRedactionHeader } from '../../lib/redaction.js';
+import { missingApiKeyMessage } from '../../lib/tenants.js';
+import { recordUsage } from '../../lib/usage.js';
+
+function sendError(res, message, status, detail = null) {
+  return sendJson(res, { ok: false, erro: { message, detail } }, status);
+}
+
+function mapTracking(t) {
+  return {
+    id: t?.tracking_id || null,
+    cnj: t?.search?.search_key || null,
+    status: t?.status || null,
+    recorrencia: t?.recurrence ?? null,
+    anexos: !!t?.with_attachments,
+    criado_em: t?.created_at || null,
+    atualizado_em: t?.updated_at || null
+  };
+}
+
+// Última execução: callback recebido em /api/judit/callback ou, na falta dele, a API de responses
+// lgpd: política de redação (lib/redaction.js); acima do sigilo com "recusar" só volta o erro
+async function latestResult({ apiKey, trackingId, cnj, includeAttachments, baseUrl, lgpd = null }) {
+  let response = (await getTrackingResult(trackingId))?.response || null;
+  if (!response) {
+    try {
+      const resp = await getTrackingResponses({ apiKey, trackingId });
+      const items = Array.isArray(resp?.page_data) ? [...resp.page_data] : [];
+      items.sort((a, b) => new Date(b?.created_at || 0) - new Date(a?.created_at || 0));
+      response = items.find((i) => i?.response_data) || null;
+    } catch (_) {}
+  }
+  if (!response) return null;
+
+  const { responses: [redacted = null], report } = redactResponses([response], lgpd);
+  return buildFullPayload({
+    cnj,
+    lawsuit: redacted ? redacted.response_data || redacted : null,
+    error: redacted ? null : { codigo: 'SEGREDO_DE_JUSTICA', message: ERROS.SEGREDO_DE_JUSTICA.mensagem },
+    meta: {
+      request_status: response.request_status || 'completed',
+      cached_response: !!response?.tags?.cached_response,
+      lgpd: report
+    }
+  }, { includeAttachments, baseUrl });
+}
+
+// Handler (MONITORAMENTOS)
+export default observe('monitoramentos', async function handler(req, res) {
+  try {
+    const url = requestUrl(req);
+    const trackingId = (url.searchParams.get('id') || '').trim();
+    const acao = (url.searchParams.get('acao') || '').trim().toLowerCase();
+
+    // Só a criação de monitoramento conta na cota diária, descontada depois de validar o corpo
+    const auth = await authorizeRequest(req, res, { route: 'monitoramentos', url, cost: 0 });
+    if (!auth.ok) return sendError(res, auth.message, errorStatus(auth.code), { code: auth.code });
+
+    // Monitoramentos ficam na conta JUDIT do tenant
+    const { tenant } = auth;
+    const { apiKey } = tenant;
+    if (!apiKey) return sendError(res, missingApiKeyMessage(tenant), 500);
+
+    if (req.method === 'GET' && !trackingId) {
+      const page = Math.max(1, parseInt(url.searchParams.get('page') || '1', 10) || 1);
+      const status = url.searchParams.get('status') || undefined;
+      const list = await listTrackings({ apiKey, page, status });
+      const items = Array.isArray(list?.page_data) ? list.page_data : [];
+      return sendJson(res, {
+        ok: true,
+        pagina: list?.page || page,
+        paginas: list?.page_count ?? list?.all_pages_count ?? 1,
+        total: list?.all_count ?? items.length,
+        monitoramentos: items.map(mapTracking)
+      }, 200);
+    }
+
+    if (req.method === 'GET') {
+      const tracking = mapTracking(await getTracking({ apiKey, trackingId }));
+      const includeAttachments = asBool(url.searchParams.get('includeAttachments') || '0');
+      const { error: lgpdError, lgpd: requestedLgpd } = readRedactionOption(url.searchParams);
+      if (lgpdError) return sendError(res, lgpdError, 400);
+      const ultimo = await latestResult({
+        apiKey, trackingId, cnj: tracking.cnj, includeAttachments, baseUrl: publicBaseUrl(req),
+        lgpd: resolveRedaction(auth.client, requestedLgpd)
+      });
+      setRedactionHeader(res, ultimo?.meta?.lgpd);
+      return sendJson(res, { ok: true, monitoramento: tracking, ultimo_resultado: ultimo }, 200);
+    }
+
+    if (req.method === 'POST' && trackingId) {
+      if (acao !== 'pausar' && acao !== 'retomar') {
+        return sendError(res, 'Parâmetro "acao" deve ser pausar ou retomar.', 400);
+      }
+      const updated = acao === 'pausar'
+        ? await pauseTracking({ apiKey, trackingId })
+        : await resumeTracking({ apiKey, trackingId });
+      return sendJson(res, { ok: true, monitoramento: mapTracking(updated || { tracking_id: trackingId }) }, 200);
+    }
+
+    if (req.method === 'POST') {
+      const body = (await readJsonBody(req)) || {};
+      const parsed = parseCnj(body.cnj ?? url.searchParams.get('cnj'));
+      if (!parsed.valid) return sendError(res, parsed.error.message, 400, { code: parsed.error.code });
+
+      const recurrence = parseInt(body.recorrencia ?? url.searchParams.get('recorrencia') ?? '1', 10);
+      if (!Number.isInteger(recurrence) || recurrence < 1 || recurrence > 30) {
+        return sendError(res, 'Parâmetro "recorrencia" deve ser um número de dias entre 1 e 30.', 400);
+      }
+      const withAttachments = asBool(
+        body.withAttachments ?? url.searchParams.get('withAttachments') ?? (tenant.withAttachments ? '1' : '0')
+      );
+
+      const quota = await chargeQuota(res, auth.client);
+      if (!quota.ok) return sendError(res, quota.message, errorStatus(quota.code), { code: quota.code });
+
+      const created = await createTracking({ apiKey, cnj: parsed.formatted, recurrence, withAttachments });
+      await recordUsage(tenant.id, { monitoramentos: 1, anexos: withAttachments ? 1 : 0 });
+      return sendJson(res, { ok: true, monitoramento: mapTracking(created) }, 201);
+    }
+
+    if (req.method === 'DELETE') {
+      if (!trackingId) return sendError(res, 'Parâmetro "id" é obrigatório.', 400);
+      await deleteTracking({ apiKey, trackingId });
+      return sendJson(res, { ok: true, monitoramento: { id: trackingId, status: 'deleted' } }, 200);
+    }
+
+    res.setHeader('Allow', 'GET, POST, DELETE');
+    return sendError(res, 'Método não permitido.', 405);
+
+  } catch (err) {
+    noteError(res, err);
+    const upstream = err?.detail?.status;
+    return sendError(
+      res,
+      err?.message || 'Erro inesperado no proxy',
+      upstream === 404 ? 404 : upstream ? 502 : err?.status || 500,
+      err?.detail || (err?.codigo ? { code: err.codigo } : null)
+    );
+  }
+});
@@ -0,0 +1,124 @@
+// api/judit/movimentacoes/batch.js
+// POST /api/judit/movimentacoes/batch
+// Corpo: { "cnjs": ["8030912-11.2022.8.05.0080", ...], "view": "min" | "full", "concurrency": 5, "waitMs": 55000 }
+// Opções aceitas no corpo ou na query: waitMs (orçamento total do lote), pollMs, withAttachments,
+// includeAttachments, forceOnDemand, noCache, concurrency, view, stream=ndjson, tipo, relevantes, ultima, lgpd.
+// Um resultado por CNJ com status completed | partial | timeout | invalid | error e seu http_status.
+
+import { authorizeRequest, chargeQuota } from '../../../lib/auth.js';
+import { BATCH_MAX_CNJS, readCnjList, runBatch, summarize } from '../../../lib/batch.js';
+import { parseCnj } from '../../../lib/cnj.js';
+import { readMovementFilters } from '../../../lib/classifier.js';
+import { errorStatus } from '../../../lib/errors.js';
+import { asBool, publicBaseUrl, readJsonBody, requestUrl, sendJson } from '../../../lib/http.js';
+import { annotate, noteError, observe } from '../../../lib/observability.js';
+import { readPollOptions } from '../../../lib/poll.js';
+import { readRedactionOption, resolveRedaction } from '../../../lib/redaction.js';
+import { missingApiKeyMessage } from '../../../lib/tenants.js';
+
+const OPTION_KEYS = [
+  'waitMs', 'pollMs', 'view', 'concurrency', 'stream',
+  'withAttachments', 'includeAttachments', 'forceOnDemand', 'noCache', 'tipo', 'relevantes', 'ultima', 'lgpd'
+];
+
+function sendError(res, message, status, detail) {
+  return sendJson(res, { ok: false, erro: { message, ...(detail ? { detail } : {}) } }, status);
+}
+
+// Handler (BATCH)
+export default observe('batch', async function handler(req, res) {
+  try {
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'POST');
+      return sendError(res, 'Método não permitido.', 405);
+    }
+
+    const url = requestUrl(req);
+    const body = (await readJsonBody(req)) || {};
+
+    // Opções do corpo têm precedência sobre a query string
+    const params = new URLSearchParams(url.searchParams);
+    for (const key of OPTION_KEYS) {
+      if (body[key] != null) params.set(key, String(body[key]));
+    }
+
+    const cnjs = readCnjList(body.cnjs ?? params.get('cnjs'));
+    const view = params.get('view') === 'full' ? 'full' : 'min';
+    const concurrency = Math.max(1, Math.min(parseInt(params.get('concurrency') || '5', 10) || 5, 10));
+    const { error: filterError, ...filters } = readMovementFilters(params);
+    const { error: lgpdError, lgpd: requestedLgpd } = readRedactionOption(params);
+    const options = {
+      ...filters,
+      withAttachments: asBool(params.get('withAttachments') || '0'),
+      includeAttachments: asBool(params.get('includeAttachments') || '0'),
+      forceOnDemand: asBool(params.get('forceOnDemand') || '0'),
+      noCache: asBool(params.get('noCache') || '0'),
+      baseUrl: publicBaseUrl(req)
+    };
+    const stream =
+      params.get('stream') === 'ndjson' || String(req.headers.accept || '').includes('application/x-ndjson');
+
+    if (!cnjs.length) {
+      return sendError(res, 'Informe "cnjs" (lista de números CNJ).', 400);
+    }
+    if (filterError || lgpdError) {
+      return sendError(res, filterError || lgpdError, 400);
+    }
+    if (cnjs.length > BATCH_MAX_CNJS) {
+      return sendError(res, `Máximo de ${BATCH_MAX_CNJS} CNJs por lote (recebidos ${cnjs.length}).`, 413);
+    }
+
+    const auth = await authorizeRequest(req, res, {
+      route: 'batch', url, forceOnDemand: options.forceOnDemand, cost: 0
+    });
+    if (!auth.ok) return sendError(res, auth.message, errorStatus(auth.code), { code: auth.code });
+    const { tenant } = auth;
+    options.lgpd = resolveRedaction(auth.client, requestedLgpd);
+    if (!tenant.apiKey) {
+      return sendError(res, missingApiKeyMessage(tenant), 500);
+    }
+
+    // Cada CNJ válido do lote conta uma consulta na cota diária do cliente (os inválidos saem como "invalid")
+    const quota = await chargeQuota(res, auth.client, cnjs.filter((c) => parseCnj(c).valid).length);
+    if (!quota.ok) return sendError(res, quota.message, errorStatus(quota.code), { code: quota.code });
+
+    // Padrões do tenant (waitMs, withAttachments) valem quando corpo e query não informam
+    const pollOptions = readPollOptions(params, { defaultWaitMs: tenant.waitMs ?? undefined });
+    if (params.get('withAttachments') == null) options.withAttachments = tenant.withAttachments;
+
+    const start = Date.now();
+
+    // NDJSON: uma linha por CNJ assim que termina, e uma linha final com o resumo
+    if (stream) {
+      res.status(200);
+      res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+      res.setHeader('Cache-Control', 'no-store');
+      res.flushHeaders?.();
+      const results = await runBatch({
+        tenant, cnjs, view, options, pollOptions, concurrency,
+        onResult: (item) => { res.write(`${JSON.stringify(item)}\n`); }
+      });
+      const resumo = summarize(results);
+      annotate(res, { lote: { total: cnjs.length, view, resumo } });
+      res.write(`${JSON.stringify({ resumo, total: cnjs.length, waited_ms: Date.now() - start })}\n`);
+      return res.end();
+    }
+
+    const results = await runBatch({ tenant, cnjs, view, options, pollOptions, concurrency });
+    const resumo = summarize(results);
+    annotate(res, { lote: { total: cnjs.length, view, resumo } });
+    return sendJson(res, {
+      ok: true,
+      total: cnjs.length,
+      view,
+      resumo,
+      waited_ms: Date.now() - start,
+      resultados: results
+    }, 200);
+
+  } catch (err) {
+    noteError(res, err);
+    if (res.headersSent) return res.end();
+    return sendError(res, err?.message || 'Erro inesperado no proxy', err?.status || 500, err?.codigo ? { code: err.codigo } : null);
+  }
+});
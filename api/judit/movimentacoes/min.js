@@ -1,205 +1,141 @@
 // api/judit/movimentacoes/min.js
 // GET /api/judit/movimentacoes/min?cnj=8030912-11.2022.8.05.0080&waitMs=60000
 // Retorna SOMENTE 6 chaves: cnj, fonte, status, processo.fase, ultima_movimentacao.conteudo, ultima_movimentacao_data
-
-const REQUESTS_BASE = 'https://requests.prod.judit.io';
-
-function sleep(ms) { return new Promise((r) => setTimeout(r, ms)); }
-function sendJson(res, obj, status = 200) {
-  res.status(status).setHeader('Content-Type', 'application/json; charset=utf-8').send(JSON.stringify(obj, null, 2));
-}
-function asBool(v) {
-  if (v == null) return false;
-  const s = String(v).trim().toLowerCase();
-  return s === '1' || s === 'true' || s === 'yes' || s === 'sim';
-}
-
-// JSON minimalista (6 chaves)
-function buildMinimalPayload({ cnj, lawsuit }) {
-  const rd = lawsuit?.response_data || lawsuit || {};
-  const steps = Array.isArray(lawsuit?.steps)
-    ? [...lawsuit.steps]
-    : Array.isArray(rd?.steps)
-    ? [...rd.steps]
-    : [];
-  steps.sort((a, b) => new Date(b.step_date) - new Date(a.step_date));
-  const last = steps[0] || null;
-
-  const status = rd?.status || (steps.length ? 'ANDAMENTO' : 'DESCONHECIDO');
-  const tribunal = rd?.tribunal_acronym || lawsuit?.tribunal_acronym || null;
-  const instanciaRaw = rd?.instance || lawsuit?.instance || null;
-  const grauFmt =
-    instanciaRaw === '1' || instanciaRaw === 1
-      ? '1º grau'
-      : instanciaRaw === '2' || instanciaRaw === 2
-      ? '2º grau'
-      : instanciaRaw || 'instância não informada';
-
-  const fase = rd?.phase || null;
-
-  return {
-    cnj: cnj || null,
-    fonte: tribunal ? `${tribunal} - ${grauFmt}` : 'Fonte não informada',
-    status: status || null,
-    processo: { fase: fase },
-    ultima_movimentacao: { conteudo: last?.content || null },
-    ultima_movimentacao_data: last?.step_date || null
-  };
-}
-
-// JUDIT — chamadas base
-async function createRequest({ apiKey, cnj, onDemand = false }) {
-  const body = {
-    search: {
-      search_type: 'lawsuit_cnj',
-      search_key: cnj,
-      response_type: 'lawsuit'
-    },
-    ...(onDemand ? { on_demand: true } : {})
-  };
-
-  const res = await fetch(`${REQUESTS_BASE}/requests`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json', 'api-key': apiKey },
-    body: JSON.stringify(body)
-  });
-  if (!res.ok) {
-    const text = await res.text();
-    throw { message: 'Falha ao criar requisição na JUDIT', detail: { status: res.status, text } };
-  }
-  return res.json();
-}
-async function getRequest({ apiKey, requestId }) {
-  const res = await fetch(`${REQUESTS_BASE}/requests/${encodeURIComponent(requestId)}`, {
-    headers: { 'api-key': apiKey }
-  });
-  if (!res.ok) {
-    const text = await res.text();
-    throw { message: 'Falha ao consultar request_id na JUDIT', detail: { status: res.status, text } };
-  }
-  return res.json();
-}
-async function getResponses({ apiKey, requestId, pageSize = 100 }) {
-  const url = `${REQUESTS_BASE}/responses?page_size=${pageSize}&request_id=${encodeURIComponent(requestId)}`;
-  const res = await fetch(url, { headers: { 'api-key': apiKey } });
-  if (!res.ok) {
-    const text = await res.text();
-    throw { message: 'Falha ao listar responses na JUDIT', detail: { status: res.status, text } };
-  }
-  return res.json();
-}
+// (com async=1 acrescenta "job" para retomar o polling em /api/judit/movimentacoes/status;
+//  com since/afterStepId acrescenta has_updates e novas_movimentacoes;
+//  com ultima=relevante a última movimentação é a última relevante, não o último step;
+//  com formato=texto|markdown|whatsapp acrescenta "resumo";
+//  com stream=sse ou Accept: text/event-stream acompanha o polling em SSE, lib/sse.js)
+
+import { authorizeRequest, chargeQuota } from '../../../lib/auth.js';
+import { finishLookup, startLookup } from '../../../lib/cache.js';
+import { readMovementFilters } from '../../../lib/classifier.js';
+import { parseCnj } from '../../../lib/cnj.js';
+import { ERROS, classifyUpstreamError, readErroOption, sendMinimalError, setCodeHeader } from '../../../lib/errors.js';
+import { asBool, requestUrl, sendJson } from '../../../lib/http.js';
+import { readIncrementalOptions } from '../../../lib/incremental.js';
+import { describeJob, setJobHeaders } from '../../../lib/jobs.js';
+import { createTrace } from '../../../lib/judit.js';
+import { annotate, noteError, observe } from '../../../lib/observability.js';
+import { emptyMinimalPayload } from '../../../lib/payload.js';
+import { pollResponses, readPollOptions } from '../../../lib/poll.js';
+import { readRedactionOption, resolveRedaction } from '../../../lib/redaction.js';
+import { minimalResult, sendMinimalResult } from '../../../lib/respond.js';
+import { readStreamOption, streamPolling } from '../../../lib/sse.js';
+import { buildSummary, readFormatOption } from '../../../lib/summary.js';
+import { missingApiKeyMessage } from '../../../lib/tenants.js';
+import { createTenantRequest, recordCompletion } from '../../../lib/usage.js';
+import { dropWebhook, isValidCallbackUrl, registerWebhook, webhookSecret } from '../../../lib/webhooks.js';
 
 // Handler (MIN)
-export default async function handler(req, res) {
+export default observe('min', async function handler(req, res) {
+  const trace = createTrace();
+  annotate(res, { trace });
+  let withErro = false;
+  let formato = null;
   try {
-    const url = new URL(req.url, `http://${req.headers.host}`);
-    const cnj = (url.searchParams.get('cnj') || '').trim();
-
-    const waitMs = Math.min(parseInt(url.searchParams.get('waitMs') || '30000', 10), 60000);
-    const pollInterval = Math.max(750, Math.min(parseInt(url.searchParams.get('pollMs') || '1500', 10), 5000));
+    const url = requestUrl(req);
+    withErro = readErroOption(url.searchParams);
+    const formatOption = readFormatOption(url.searchParams);
+    formato = formatOption.formato;
+    const cnjInput = (url.searchParams.get('cnj') || '').trim();
+    const parsedCnj = parseCnj(cnjInput);
+    const cnj = parsedCnj.valid ? parsedCnj.formatted : cnjInput;
 
-    const retryOnPending = asBool(url.searchParams.get('retryOnPending') || '0');
-    const graceMs = Math.min(parseInt(url.searchParams.get('graceMs') || '5000', 10), 15000);
-    const gracePollMs = Math.max(500, Math.min(parseInt(url.searchParams.get('gracePollMs') || '800', 10), 3000));
     const forceOnDemand = asBool(url.searchParams.get('forceOnDemand') || '0');
+    const asyncMode = asBool(url.searchParams.get('async') || '0');
+    const noCache = asBool(url.searchParams.get('noCache') || '0');
+    const callbackUrl = (url.searchParams.get('callbackUrl') || '').trim();
+    const { error: incrementalError, ...incremental } = readIncrementalOptions(url.searchParams);
+    const { ultimaRelevante } = readMovementFilters(url.searchParams);
+    const { error: lgpdError, lgpd: requestedLgpd } = readRedactionOption(url.searchParams);
+    const { error: streamError, stream } = readStreamOption(req, url.searchParams);
+
+    // Cliente do proxy: api-key/HMAC, rotas permitidas e rate limit (lib/auth.js); a cota só depois de validar
+    const auth = await authorizeRequest(req, res, { route: 'min', url, forceOnDemand, cost: 0 });
+    if (!auth.ok) {
+      return sendMinimalError(res, { cnj: cnj || null, code: auth.code, mensagem: auth.message, withErro, formato });
+    }
+    const { tenant } = auth;
+    const lgpd = resolveRedaction(auth.client, requestedLgpd);
+
+    const pollOptions = readPollOptions(url.searchParams, { defaultWaitMs: tenant.waitMs ?? undefined });
 
     if (!cnj) {
-      return sendJson(res, {
-        cnj: null,
-        fonte: 'Fonte não informada',
-        status: null,
-        processo: { fase: null },
-        ultima_movimentacao: { conteudo: null },
-        ultima_movimentacao_data: null
-      }, 400);
+      return sendMinimalError(res, { code: 'CNJ_AUSENTE', withErro, formato });
     }
 
-    const apiKey = process.env.JUDIT_API_KEY;
-    if (!apiKey) {
-      return sendJson(res, {
-        cnj,
-        fonte: 'Fonte não informada',
-        status: null,
-        processo: { fase: null },
-        ultima_movimentacao: { conteudo: null },
-        ultima_movimentacao_data: null
-      }, 500);
+    // CNJ inválido — rejeita antes de gastar uma requisição na JUDIT
+    if (!parsedCnj.valid) {
+      res.setHeader('X-Cnj-Erro', parsedCnj.error.code);
+      return sendMinimalError(res, { cnj, code: 'CNJ_INVALIDO', mensagem: parsedCnj.error.message, withErro, formato });
     }
 
-    const created = await createRequest({ apiKey, cnj, onDemand: forceOnDemand });
-    const requestId = created?.request_id;
-    if (!requestId) {
-      return sendJson(res, {
-        cnj,
-        fonte: 'Fonte não informada',
-        status: null,
-        processo: { fase: null },
-        ultima_movimentacao: { conteudo: null },
-        ultima_movimentacao_data: null
-      }, 502);
+    if ((callbackUrl && !isValidCallbackUrl(callbackUrl)) || incrementalError || formatOption.error || lgpdError || streamError) {
+      const mensagem = incrementalError || formatOption.error || lgpdError || streamError || 'Parâmetro "callbackUrl" inválido (use https e um host público).';
+      return sendMinimalError(res, { cnj, code: 'PARAMETRO_INVALIDO', mensagem, withErro, formato });
+    }
+
+    const { apiKey } = tenant;
+    if (!apiKey || (callbackUrl && !webhookSecret())) {
+      const mensagem = !apiKey ? missingApiKeyMessage(tenant) : 'PROXY_WEBHOOK_SECRET não configurada.';
+      return sendMinimalError(res, { cnj, code: 'CONFIGURACAO_AUSENTE', mensagem, withErro, formato });
+    }
+
+    const quota = await chargeQuota(res, auth.client);
+    if (!quota.ok) return sendMinimalError(res, { cnj, code: quota.code, mensagem: quota.message, withErro, formato });
+
+    const lookup = await startLookup({
+      tenant: tenant.id, cnj, forceOnDemand, noCache,
+      create: () => createTenantRequest({ tenant, cnj, onDemand: forceOnDemand, trace })
+    });
+    const requestId = lookup.requestId;
+    if (!lookup.cached && !requestId) {
+      return sendMinimalError(res, { cnj, code: 'REQUEST_ID_AUSENTE', withErro, formato });
     }
 
-    const start = Date.now();
-    let attempts = 0, completed = null, requestStatus = 'pending';
-
-    while (Date.now() - start < waitMs) {
-      attempts += 1;
-      try { const r = await getRequest({ apiKey, requestId }); requestStatus = r?.status || requestStatus; } catch {}
-      try {
-        const resp = await getResponses({ apiKey, requestId });
-        if (Array.isArray(resp?.page_data) && resp.page_data.length) {
-          completed = resp.page_data[0];
-          requestStatus = resp?.request_status || requestStatus;
-          if (requestStatus === 'completed' || completed?.request_status === 'completed') break;
-        }
-      } catch {}
-      await sleep(pollInterval);
+    const job = describeJob({ requestId, cnj, view: 'min' });
+    const options = { ...incremental, ultimaRelevante, formato, lgpd };
+    const build = (poll) => minimalResult({ cnj, poll, options, withErro });
+
+    // Resposta completa já em cache — não consulta a JUDIT
+    if (lookup.cached) {
+      await recordCompletion(tenant, requestId, lookup.cached);
+      if (stream) return streamPolling(res, { cnj, job, origem: 'cache', cached: lookup.cached, build });
+      return sendMinimalResult(res, { cnj, poll: lookup.cached, job, options, withErro });
     }
 
-    if (retryOnPending && !(requestStatus === 'completed' || completed?.request_status === 'completed')) {
-      const graceStart = Date.now();
-      while (Date.now() - graceStart < graceMs) {
-        try {
-          const resp2 = await getResponses({ apiKey, requestId });
-          if (Array.isArray(resp2?.page_data) && resp2.page_data.length) {
-            completed = resp2.page_data[0];
-            requestStatus = resp2?.request_status || requestStatus;
-            if (requestStatus === 'completed' || completed?.request_status === 'completed') break;
-          }
-        } catch {}
-        await sleep(gracePollMs);
-      }
+    if (callbackUrl) {
+      await registerWebhook({ requestId, url: callbackUrl, cnj, view: 'min', lgpd });
     }
 
-    const isCompleted = completed && (requestStatus === 'completed' || completed?.request_status === 'completed');
+    const runPoll = async (onProgress = null) => {
+      const poll = await finishLookup(lookup, await pollResponses({ apiKey, requestId, ...pollOptions, trace, onProgress }));
+      if (callbackUrl && poll.isCompleted) await dropWebhook(requestId, callbackUrl);
+      await recordCompletion(tenant, requestId, poll);
+      return poll;
+    };
 
-    if (isCompleted) {
-      const lawsuit = completed?.response_data || completed || null;
-      return sendJson(res, buildMinimalPayload({ cnj, lawsuit }), 200);
+    if (stream) {
+      return streamPolling(res, { cnj, job, origem: lookup.shared ? 'compartilhada' : 'nova', poll: runPoll, build });
     }
 
-    if (completed) {
-      const lawsuit = completed?.response_data || completed || null;
-      return sendJson(res, buildMinimalPayload({ cnj, lawsuit }), 202);
+    if (asyncMode) {
+      setJobHeaders(res, job);
+      setCodeHeader(res, 'PENDENTE');
+      return sendJson(res, {
+        ...emptyMinimalPayload(cnj), job,
+        ...(withErro ? { erro: null } : {}),
+        ...(formato ? { resumo: buildSummary({ cnj, mensagem: ERROS.PENDENTE.mensagem }, formato) } : {})
+      }, 202);
     }
 
-    return sendJson(res, {
-      cnj,
-      fonte: 'Fonte não informada',
-      status: null,
-      processo: { fase: null },
-      ultima_movimentacao: { conteudo: null },
-      ultima_movimentacao_data: null
-    }, 202);
+    const poll = await runPoll();
+    return sendMinimalResult(res, { cnj, poll, job, options, withErro });
 
   } catch (err) {
-    return sendJson(res, {
-      cnj: null,
-      fonte: 'Fonte não informada',
-      status: null,
-      processo: { fase: null },
-      ultima_movimentacao: { conteudo: null },
-      ultima_movimentacao_data: null
-    }, 500);
+    noteError(res, err);
+    // Falha da JUDIT (status/texto) ou do proxy → código da taxonomia
+    return sendMinimalError(res, { code: classifyUpstreamError(err), mensagem: err?.message || null, withErro, formato });
   }
-}
+});
@@ -0,0 +1,141 @@
+// api/judit/movimentacoes/status.js
+// GET /api/judit/movimentacoes/status?job=<token>&waitMs=0
+// GET /api/judit/movimentacoes/status?requestId=<request_id>&cnj=...&view=min|full
+// Retoma o polling de uma requisição já criada (modo async=1 ou 202 por timeout) — não cria nova busca na JUDIT.
+// stream=sse (ou Accept: text/event-stream) acompanha a espera em SSE (lib/sse.js).
+
+import { authorizeRequest } from '../../../lib/auth.js';
+import { callbackToPoll, getCallback } from '../../../lib/callbacks.js';
+import { readMovementFilters } from '../../../lib/classifier.js';
+import { parseCnj } from '../../../lib/cnj.js';
+import { classifyUpstreamError, errorStatus, readErroOption, sendMinimalError, setCodeHeader } from '../../../lib/errors.js';
+import { asBool, publicBaseUrl, requestUrl, sendJson } from '../../../lib/http.js';
+import { readIncrementalOptions } from '../../../lib/incremental.js';
+import { recordSnapshot } from '../../../lib/history.js';
+import { decodeJob, describeJob } from '../../../lib/jobs.js';
+import { createTrace } from '../../../lib/judit.js';
+import { projectFields, readListingOptions } from '../../../lib/listing.js';
+import { annotate, noteError, observe } from '../../../lib/observability.js';
+import { buildFullPayload } from '../../../lib/payload.js';
+import { pollResponses, readPollOptions } from '../../../lib/poll.js';
+import { readRedactionOption, resolveRedaction } from '../../../lib/redaction.js';
+import { fullResult, minimalResult, sendFullResult, sendMinimalResult } from '../../../lib/respond.js';
+import { readStreamOption, streamPolling } from '../../../lib/sse.js';
+import { readFormatOption } from '../../../lib/summary.js';
+import { missingApiKeyMessage } from '../../../lib/tenants.js';
+import { recordCompletion } from '../../../lib/usage.js';
+
+function sendError(res, { view, cnj, includeAttachments, code, message, withErro, formato = null }) {
+  if (view === 'full') {
+    setCodeHeader(res, code);
+    return sendJson(res, buildFullPayload({
+      cnj, lawsuit: null, error: { codigo: code, message }, meta: { is_partial: true }
+    }, { includeAttachments, formato }), errorStatus(code));
+  }
+  return sendMinimalError(res, { cnj, code, mensagem: message, withErro, formato });
+}
+
+// Handler (STATUS)
+export default observe('status', async function handler(req, res) {
+  const trace = createTrace();
+  annotate(res, { trace });
+  let view = 'min';
+  let withErro = false;
+  let formato = null;
+  try {
+    const url = requestUrl(req);
+    withErro = readErroOption(url.searchParams);
+    const formatOption = readFormatOption(url.searchParams);
+    formato = formatOption.formato;
+    const token = (url.searchParams.get('job') || '').trim();
+    const rawRequestId = (url.searchParams.get('requestId') || '').trim();
+
+    // Por padrão só uma consulta; waitMs permite esperar um pouco mais
+    const pollOptions = readPollOptions(url.searchParams, { defaultWaitMs: 0 });
+
+    let job = token ? decodeJob(token) : null;
+    if (!job && rawRequestId) {
+      const cnjInput = (url.searchParams.get('cnj') || '').trim();
+      const parsedCnj = parseCnj(cnjInput);
+      job = {
+        requestId: rawRequestId,
+        cnj: parsedCnj.valid ? parsedCnj.formatted : cnjInput || null,
+        view: url.searchParams.get('view') === 'full' ? 'full' : 'min',
+        includeAttachments: asBool(url.searchParams.get('includeAttachments') || '0')
+      };
+    }
+    if (url.searchParams.get('view')) view = url.searchParams.get('view') === 'full' ? 'full' : 'min';
+    else if (job) view = job.view;
+
+    const { error: incrementalError, ...incremental } = readIncrementalOptions(url.searchParams);
+    const { error: filterError, ...filters } = readMovementFilters(url.searchParams);
+    const { error: listingError, ...listing } = readListingOptions(url.searchParams);
+    const { error: lgpdError, lgpd: requestedLgpd } = readRedactionOption(url.searchParams);
+    const { error: streamError, stream } = readStreamOption(req, url.searchParams);
+
+    // Só consulta requisições já criadas: conta no rate limit, não na cota diária
+    const auth = await authorizeRequest(req, res, { route: 'status', url, cost: 0 });
+    if (!auth.ok) {
+      return sendError(res, {
+        view, cnj: job?.cnj || null, includeAttachments: false, code: auth.code, message: auth.message, withErro, formato
+      });
+    }
+
+    if (!job || incrementalError || filterError || formatOption.error || listingError || lgpdError || streamError) {
+      return sendError(res, {
+        view, cnj: null, includeAttachments: false, code: 'PARAMETRO_INVALIDO', withErro, formato,
+        message: incrementalError || filterError || formatOption.error || listingError || lgpdError || streamError ||
+          (token ? 'Parâmetro "job" inválido.' : 'Parâmetro "job" ou "requestId" é obrigatório.')
+      });
+    }
+
+    const { requestId, cnj, includeAttachments } = job;
+
+    const { tenant } = auth;
+    const lgpd = resolveRedaction(auth.client, requestedLgpd);
+    const { apiKey } = tenant;
+    if (!apiKey) {
+      return sendError(res, {
+        view, cnj, includeAttachments, code: 'CONFIGURACAO_AUSENTE', message: missingApiKeyMessage(tenant), withErro, formato
+      });
+    }
+
+    // Se o callback da JUDIT já trouxe o resultado completo, não consulta a API (só para o tenant que criou a busca)
+    const record = await getCallback(requestId, { tenant: tenant.id });
+    const fromCallback = record ? callbackToPoll(record) : null;
+    const jobInfo = describeJob({ requestId, cnj, view, includeAttachments });
+    const fullOptions = { ...incremental, ...filters, ...listing, formato, lgpd, baseUrl: publicBaseUrl(req) };
+    const minOptions = { ...incremental, ...filters, formato, lgpd };
+    const runPoll = async (onProgress = null) => {
+      const poll = fromCallback?.isCompleted
+        ? fromCallback
+        : await pollResponses({ apiKey, requestId, ...pollOptions, onProgress, trace });
+      await recordCompletion(tenant, requestId, poll);
+      await recordSnapshot({ tenant: tenant.id, cnj, requestId, poll });
+      return poll;
+    };
+
+    if (stream) {
+      const build = view === 'full'
+        ? (poll) => {
+            const result = fullResult({ cnj, poll, job: jobInfo, includeAttachments, options: fullOptions });
+            return { ...result, body: projectFields(result.body, listing.fields) };
+          }
+        : (poll) => minimalResult({ cnj, poll, options: minOptions, withErro });
+      return streamPolling(res, { cnj, job: jobInfo, origem: 'retomada', poll: runPoll, build });
+    }
+
+    const poll = await runPoll();
+    if (view === 'full') {
+      return sendFullResult(res, { cnj, poll, job: jobInfo, includeAttachments, options: fullOptions });
+    }
+    return sendMinimalResult(res, { cnj, poll, job: jobInfo, options: minOptions, withErro });
+
+  } catch (err) {
+    noteError(res, err);
+    return sendError(res, {
+      view, cnj: null, includeAttachments: false, code: classifyUpstreamError(err),
+      message: err?.message || 'Erro inesperado no proxy', withErro, formato
+    });
+  }
+});
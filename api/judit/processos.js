@@ -0,0 +1,189 @@
+// api/judit/processos.js
+// GET /api/judit/processos?tipo=cpf|cnpj|oab|nome&valor=...&waitMs=60000
+// Lista os processos de uma pessoa, empresa ou advogado (todas as páginas de responses da JUDIT).
+// lgpd= (lib/redaction.js) redige partes e movimentações; com sigilo:N,recusar os processos acima do nível saem da lista.
+
+import { authorizeRequest, chargeQuota } from '../../lib/auth.js';
+import { isValidCnpj, isValidCpf, normalizeOab, onlyDigits } from '../../lib/documents.js';
+import { errorStatus } from '../../lib/errors.js';
+import { asBool, requestUrl, sendJson } from '../../lib/http.js';
+import { createTrace, getAllResponses, summarizeTrace } from '../../lib/judit.js';
+import { annotate, noteError, notePoll, observe } from '../../lib/observability.js';
+import { buildLawsuitSummary } from '../../lib/payload.js';
+import { pollResponses, readPollOptions } from '../../lib/poll.js';
+import { readRedactionOption, redactResponses, resolveRedaction, setRedactionHeader } from '../../lib/redaction.js';
+import { missingApiKeyMessage } from '../../lib/tenants.js';
+import { createTenantRequest } from '../../lib/usage.js';
+
+// tipo do proxy → search_type da JUDIT, com normalização/validação do valor
+const TIPOS = {
+  cpf: { searchType: 'cpf', normalize: (v) => (isValidCpf(v) ? onlyDigits(v) : null), hint: 'CPF inválido.' },
+  cnpj: { searchType: 'cnpj', normalize: (v) => (isValidCnpj(v) ? onlyDigits(v) : null), hint: 'CNPJ inválido.' },
+  oab: { searchType: 'oab', normalize: normalizeOab, hint: 'OAB inválida (use número + UF, ex.: 123456/SP).' },
+  nome: {
+    searchType: 'name',
+    normalize: (v) => (v.trim().length >= 3 ? v.trim().replace(/\s+/g, ' ') : null),
+    hint: 'Nome deve ter ao menos 3 caracteres.'
+  }
+};
+
+function buildListPayload({ tipo, valor, requestId, items, error, meta }) {
+  // Um item por processo/instância (a JUDIT pode repetir o mesmo processo entre páginas)
+  const seen = new Set();
+  const processos = [];
+  for (const item of items || []) {
+    const summary = buildLawsuitSummary(item);
+    const key = `${summary.cnj}|${summary.instancia}`;
+    if (summary.cnj && seen.has(key)) continue;
+    seen.add(key);
+    processos.push(summary);
+  }
+  processos.sort((a, b) => new Date(b.ultima_movimentacao_data || 0) - new Date(a.ultima_movimentacao_data || 0));
+
+  return {
+    ok: !error,
+    tipo: tipo || null,
+    valor: valor || null,
+    request_id: requestId || null,
+    total: processos.length,
+    processos,
+    meta: {
+      request_status: meta?.request_status || null,
+      is_partial: !!meta?.is_partial,
+      waited_ms: meta?.waited_ms || 0,
+      attempts: meta?.attempts || 0,
+      paginas: meta?.paginas || 0,
+      lgpd: meta?.lgpd || undefined,
+      upstream: meta?.upstream || undefined,
+      message: meta?.message || undefined
+    },
+    erro: error
+      ? { message: error.message || 'Erro desconhecido no proxy', detail: error.detail || null }
+      : null
+  };
+}
+
+// Handler (PROCESSOS)
+export default observe('processos', async function handler(req, res) {
+  const trace = createTrace();
+  annotate(res, { trace });
+  try {
+    const url = requestUrl(req);
+    const tipo = (url.searchParams.get('tipo') || '').trim().toLowerCase();
+    const valorInput = url.searchParams.get('valor') || '';
+
+    const forceOnDemand = asBool(url.searchParams.get('forceOnDemand') || '0');
+    const { error: lgpdError, lgpd: requestedLgpd } = readRedactionOption(url.searchParams);
+
+    const auth = await authorizeRequest(req, res, { route: 'processos', url, forceOnDemand, cost: 0 });
+    if (!auth.ok) {
+      return sendJson(res, buildListPayload({
+        tipo, error: { message: auth.message, detail: { code: auth.code } }, meta: { is_partial: true }
+      }), errorStatus(auth.code));
+    }
+    const { tenant } = auth;
+    const lgpd = resolveRedaction(auth.client, requestedLgpd);
+    const pollOptions = readPollOptions(url.searchParams, { defaultWaitMs: tenant.waitMs ?? undefined });
+
+    const spec = TIPOS[tipo];
+    if (!spec) {
+      return sendJson(res, buildListPayload({
+        tipo, error: { message: 'Parâmetro "tipo" deve ser cpf, cnpj, oab ou nome.' }, meta: { is_partial: true }
+      }), 400);
+    }
+
+    if (lgpdError) {
+      return sendJson(res, buildListPayload({ tipo, error: { message: lgpdError }, meta: { is_partial: true } }), 400);
+    }
+
+    const valor = spec.normalize(valorInput);
+    if (!valor) {
+      return sendJson(res, buildListPayload({
+        tipo, error: { message: valorInput ? spec.hint : 'Parâmetro "valor" é obrigatório.' }, meta: { is_partial: true }
+      }), 400);
+    }
+
+    const { apiKey } = tenant;
+    if (!apiKey) {
+      return sendJson(res, buildListPayload({
+        tipo, valor, error: { message: missingApiKeyMessage(tenant) }, meta: { is_partial: true }
+      }), 500);
+    }
+
+    // Entrada válida: só agora desconta a cota diária do cliente (lib/auth.js)
+    const quota = await chargeQuota(res, auth.client);
+    if (!quota.ok) {
+      return sendJson(res, buildListPayload({
+        tipo, valor, error: { message: quota.message, detail: { code: quota.code } }, meta: { is_partial: true }
+      }), errorStatus(quota.code));
+    }
+
+    const created = await createTenantRequest({
+      tenant, searchType: spec.searchType, searchKey: valor, responseType: 'lawsuits', onDemand: forceOnDemand, trace
+    });
+    const requestId = created?.request_id;
+    if (!requestId) {
+      return sendJson(res, buildListPayload({
+        tipo, valor, error: { message: 'request_id não retornado.', detail: created }, meta: { is_partial: true }
+      }), 502);
+    }
+
+    // Espera a JUDIT concluir e então percorre todas as páginas
+    const poll = await pollResponses({ apiKey, requestId, ...pollOptions, trace });
+    const outcome = poll.isCompleted ? 'completed'
+      : poll.completed ? 'partial'
+        : poll.requestStatus === 'completed' ? 'not_found'
+          : poll.upstreamError ? 'error' : 'timeout';
+    notePoll(res, { requestId, poll, outcome });
+
+    // Concluída sem nenhuma response: nenhum processo encontrado
+    if (!poll.completed && poll.requestStatus === 'completed') {
+      return sendJson(res, buildListPayload({
+        tipo, valor, requestId, items: [], error: null, meta: {
+          request_status: 'completed', is_partial: false, waited_ms: poll.waited_ms, attempts: poll.attempts,
+          upstream: summarizeTrace(trace)
+        }
+      }), 200);
+    }
+
+    if (!poll.completed) {
+      return sendJson(res, buildListPayload({
+        tipo, valor, requestId, error: {
+          message: 'Não foi possível obter os processos dentro do tempo limite.',
+          detail: { request_status: poll.requestStatus }
+        }, meta: {
+          request_status: poll.requestStatus, is_partial: true, waited_ms: poll.waited_ms, attempts: poll.attempts,
+          upstream: summarizeTrace(trace)
+        }
+      }), 202);
+    }
+
+    // Concluída: o polling já percorreu todas as páginas; parcial: lê o que já houver
+    const all = poll.isCompleted
+      ? { items: poll.responses, pages: poll.pages, requestStatus: 'completed' }
+      : await getAllResponses({ apiKey, requestId, trace });
+    const isCompleted = poll.isCompleted || all.requestStatus === 'completed';
+    const redacted = redactResponses(all.items, lgpd);
+    setRedactionHeader(res, redacted.report);
+
+    return sendJson(res, buildListPayload({
+      tipo, valor, requestId, items: redacted.responses, error: null, meta: {
+        request_status: isCompleted ? 'completed' : poll.requestStatus,
+        is_partial: !isCompleted,
+        waited_ms: poll.waited_ms,
+        attempts: poll.attempts,
+        paginas: all.pages,
+        upstream: summarizeTrace(trace),
+        lgpd: redacted.report,
+        message: isCompleted ? undefined : 'Resposta parcial: a JUDIT ainda está finalizando.'
+      }
+    }), isCompleted ? 200 : 202);
+
+  } catch (err) {
+    noteError(res, err);
+    return sendJson(res, buildListPayload({
+      error: { message: err?.message || 'Erro inesperado no proxy', detail: err?.detail || err },
+      meta: { is_partial: true, upstream: summarizeTrace(trace) }
+    }), 500);
+  }
+});
@@ -0,0 +1,60 @@
+// api/judit/uso.js
+// GET /api/judit/uso[?tenant=escritorio-a&de=2026-10-01&ate=2026-10-31]
+// Uso por tenant e período (padrão: mês corrente), para faturamento de cada escritório.
+// Clientes veem só o próprio tenant; clientes com "admin": true (ou o proxy sem PROXY_CLIENTS) veem todos.
+
+import { authorizeRequest } from '../../lib/auth.js';
+import { errorStatus } from '../../lib/errors.js';
+import { requestUrl, sendJson } from '../../lib/http.js';
+import { noteError, observe } from '../../lib/observability.js';
+import { listTenantIds } from '../../lib/tenants.js';
+import { readUsage, usageDay } from '../../lib/usage.js';
+
+const MAX_DAYS = 366;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function sendError(res, message, status, detail = null) {
+  return sendJson(res, { ok: false, erro: { message, detail } }, status);
+}
+
+// Handler (USO)
+export default observe('uso', async function handler(req, res) {
+  try {
+    if (req.method !== 'GET') {
+      res.setHeader('Allow', 'GET');
+      return sendError(res, 'Método não permitido.', 405);
+    }
+
+    const url = requestUrl(req);
+    const auth = await authorizeRequest(req, res, { route: 'uso', url, cost: 0 });
+    if (!auth.ok) return sendError(res, auth.message, errorStatus(auth.code), { code: auth.code });
+
+    const today = usageDay();
+    const de = (url.searchParams.get('de') || `${today.slice(0, 8)}01`).trim();
+    const ate = (url.searchParams.get('ate') || today).trim();
+    if (!DATE_RE.test(de) || !DATE_RE.test(ate) || Number.isNaN(Date.parse(de)) || Number.isNaN(Date.parse(ate))) {
+      return sendError(res, 'Parâmetros "de" e "ate" devem estar no formato AAAA-MM-DD.', 400);
+    }
+    const days = (Date.parse(ate) - Date.parse(de)) / 86400000 + 1;
+    if (days < 1 || days > MAX_DAYS) {
+      return sendError(res, `Período inválido: "de" deve ser anterior a "ate" e cobrir no máximo ${MAX_DAYS} dias.`, 400);
+    }
+
+    // Sem clientes configurados ou cliente admin: qualquer tenant; demais, só o próprio
+    const requested = (url.searchParams.get('tenant') || '').trim();
+    const seesAll = !auth.client || auth.client.admin === true;
+    if (!seesAll && requested && requested !== auth.tenant.id) {
+      return sendError(res, `Cliente "${auth.client.id}" só pode consultar o uso do tenant "${auth.tenant.id}".`, 403, { code: 'ACESSO_NEGADO' });
+    }
+    const tenantIds = requested ? [requested] : seesAll ? listTenantIds() : [auth.tenant.id];
+
+    const tenants = [];
+    for (const id of tenantIds) tenants.push(await readUsage(id, { de, ate }));
+
+    return sendJson(res, { ok: true, periodo: { de, ate }, tenants }, 200);
+
+  } catch (err) {
+    noteError(res, err);
+    return sendError(res, err?.message || 'Erro inesperado no proxy', err?.status || 500);
+  }
+});
@@ -0,0 +1,49 @@
+// lib/attachments.js
+// Anexos dos processos: link de download pelo proxy (/api/judit/anexos/:cnj/:attachmentId)
+// e estado da coleta na JUDIT a partir dos metadados (attachments[].status).
+
+import { cacheKey } from './cache.js';
+import { pollResponsesOf } from './instances.js';
+import { getStore } from './store.js';
+
+const READY_STATUSES = new Set(['done', 'completed', 'success', 'downloaded', 'available']);
+
+// 'ready' | 'pending' | 'error' — sem status informado, tenta o download
+export function attachmentState(status) {
+  const s = String(status || '').trim().toLowerCase();
+  if (!s || READY_STATUSES.has(s)) return 'ready';
+  if (/error|fail|erro|falh/.test(s)) return 'error';
+  return 'pending';
+}
+
+// Link pronto para uso; baseUrl vem da requisição (http.publicBaseUrl) ou de PROXY_PUBLIC_URL
+export function attachmentUrl({ cnj, attachmentId, instance = null, baseUrl = process.env.PROXY_PUBLIC_URL || '' }) {
+  const digits = String(cnj || '').replace(/\D/g, '');
+  if (!digits || !attachmentId) return null;
+  const qs = instance != null && instance !== '' ? `?instancia=${encodeURIComponent(instance)}` : '';
+  return `${baseUrl}/api/judit/anexos/${digits}/${encodeURIComponent(attachmentId)}${qs}`;
+}
+
+// Metadados do anexo nas respostas em cache do proxy (buscas com withAttachments): { attachment, instance } ou null
+export async function findCachedAttachment({ tenant, cnj, attachmentId }) {
+  const store = getStore();
+  for (const forceOnDemand of [false, true]) {
+    const hit = await store.get(`cache:${cacheKey({ tenant, cnj, withAttachments: true, forceOnDemand })}`);
+    for (const r of pollResponsesOf(hit)) {
+      const rd = r?.response_data || r;
+      const attachments = Array.isArray(rd?.attachments) ? rd.attachments : [];
+      const attachment = attachments.find((a) => String(a?.attachment_id) === String(attachmentId));
+      if (attachment) {
+        return { attachment, instance: attachment.instance ?? rd?.instance ?? null, secrecyLevel: Number(rd?.secrecy_level ?? 0) };
+      }
+    }
+  }
+  return null;
+}
+
+// Nome do arquivo para Content-Disposition (nome + extensão dos metadados, ou o id)
+export function attachmentFilename(attachment, attachmentId) {
+  const ext = String(attachment?.extension || '').replace(/^\./, '');
+  const base = String(attachment?.attachment_name || attachmentId).replace(/[\r\n"\\/]+/g, '_').trim() || String(attachmentId);
+  return ext && !base.toLowerCase().endsWith(`.${ext.toLowerCase()}`) ? `${base}.${ext}` : base;
+}
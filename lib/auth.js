@@ -0,0 +1,177 @@
+// lib/auth.js
+// Autenticação dos clientes do proxy (api-key ou requisição assinada com HMAC), rotas permitidas,
+// rate limit por minuto e cota diária por cliente. Clientes em PROXY_CLIENTS (JSON):
+//   [{ "id": "zaia", "key": "...", "secret": "...", "tenant": "escritorio-a", "routes": ["min", "status"],
+//      "forceOnDemand": false, "ratePerMinute": 60, "dailyQuota": 2000, "lgpd": "mascarar,privados" }]
+// "lgpd": política de redação obrigatória do cliente (lib/redaction.js)
+// Sem PROXY_CLIENTS o proxy continua aberto (instalações antigas), no tenant default.
+
+import { createHmac, timingSafeEqual } from 'node:crypto';
+import { mockTenant, readScenario } from './mock.js';
+import { annotate } from './observability.js';
+import { getStore } from './store.js';
+import { resolveTenant } from './tenants.js';
+
+const SIGNATURE_MAX_SKEW_S = 300;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BRT_OFFSET_MS = 3 * 60 * 60 * 1000; // cota vira à meia-noite de Brasília (UTC-3, sem horário de verão)
+
+let cachedRaw = null;
+let cachedClients = [];
+
+// Aceita lista ou objeto { id: { ...config } }
+export function loadClients(raw = process.env.PROXY_CLIENTS || '') {
+  if (raw === cachedRaw) return cachedClients;
+  let parsed = [];
+  try {
+    parsed = raw ? JSON.parse(raw) : [];
+  } catch (_) {
+    throw { message: 'PROXY_CLIENTS não é um JSON válido.', status: 500 };
+  }
+  const list = Array.isArray(parsed)
+    ? parsed
+    : Object.entries(parsed || {}).map(([id, c]) => ({ id, ...c }));
+  cachedClients = list.filter((c) => c?.id && (c.key || c.secret));
+  cachedRaw = raw;
+  return cachedClients;
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && timingSafeEqual(x, y);
+}
+
+// Assinatura: hex(HMAC-SHA256(secret, `${timestamp}.${METHOD}.${path_com_query}`)) — enviada como "sha256=<hex>"
+export function signRequest({ secret, timestamp, method, path }) {
+  return createHmac('sha256', secret).update(`${timestamp}.${String(method).toUpperCase()}.${path}`).digest('hex');
+}
+
+// { client } ou { error } — api-key (X-Api-Key / Authorization: Bearer) ou X-Client-Id + X-Timestamp + X-Signature
+// queryKey: aceita a api-key em ?key= (feeds assinados por clientes de calendário, que não enviam headers)
+export function authenticate(req, url, clients = loadClients(), { queryKey = false } = {}) {
+  const headers = req.headers || {};
+  const bearer = String(headers.authorization || '').match(/^Bearer\s+(.+)$/i)?.[1];
+  const apiKey = headers['x-api-key'] || bearer || (queryKey ? url.searchParams.get('key') : null);
+
+  if (apiKey) {
+    const client = clients.find((c) => c.key && safeEqual(c.key, apiKey));
+    return client ? { client } : { error: 'Api-key inválida.' };
+  }
+
+  const clientId = headers['x-client-id'];
+  const signature = String(headers['x-signature'] || '').replace(/^sha256=/, '');
+  const timestamp = headers['x-timestamp'];
+  if (!clientId || !signature || !timestamp) {
+    return { error: 'Informe X-Api-Key ou a assinatura (X-Client-Id, X-Timestamp, X-Signature).' };
+  }
+
+  const client = clients.find((c) => c.id === clientId && c.secret);
+  if (!client) return { error: 'Cliente desconhecido.' };
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > SIGNATURE_MAX_SKEW_S) {
+    return { error: 'X-Timestamp fora da janela de 5 minutos.' };
+  }
+  const expected = signRequest({ secret: client.secret, timestamp, method: req.method || 'GET', path: `${url.pathname}${url.search}` });
+  return safeEqual(expected, signature) ? { client } : { error: 'Assinatura inválida.' };
+}
+
+// Contador com janela fixa no store (aproximado: o adapter não tem incremento atômico)
+async function consume(key, amount, limit, ttlMs) {
+  const store = getStore();
+  const used = (await store.get(key)) || 0;
+  if (limit > 0 && used + amount > limit) return { allowed: false, used };
+  if (amount > 0) await store.set(key, used + amount, ttlMs);
+  return { allowed: true, used: used + amount };
+}
+
+/**
+ * Autentica e aplica as regras do cliente para a rota (cliente e tenant também vão para o log, lib/observability.js).
+ * route: 'movimentacoes' | 'min' | 'full' | 'status' | 'batch' | 'processos' | 'monitoramentos' | 'uso' | 'anexos'
+ *        | 'audiencias' | 'historico' | 'health'
+ * cost: unidades descontadas da cota diária (0 = só rate limit)
+ * queryKey: aceita a api-key na query string (?key=)
+ * No modo mock (JUDIT_MOCK=1) o tenant devolvido aponta para o cenário pedido (cenario= / X-Judit-Cenario).
+ * Retorna { ok: true, client, tenant } ou { ok: false, code, message } — o handler responde no seu formato.
+ */
+export async function authorizeRequest(req, res, { route, url, forceOnDemand = false, cost = 1, queryKey = false }) {
+  const { cenario, error: scenarioError } = readScenario(req, url);
+  if (scenarioError) return { ok: false, code: 'PARAMETRO_INVALIDO', message: scenarioError };
+
+  const clients = loadClients();
+  if (!clients.length) {
+    const open = checkTenant(null, { forceOnDemand, cenario });
+    annotate(res, { tenant: open.tenant?.id ?? null });
+    return open;
+  }
+
+  const { client, error } = authenticate(req, url, clients, { queryKey });
+  if (!client) {
+    res.setHeader('WWW-Authenticate', 'ApiKey, HMAC-SHA256');
+    return { ok: false, code: 'NAO_AUTENTICADO', message: error };
+  }
+  annotate(res, { client: client.id });
+
+  const routes = Array.isArray(client.routes) && client.routes.length ? client.routes : ['*'];
+  if (!routes.includes('*') && !routes.includes(route)) {
+    return { ok: false, code: 'ACESSO_NEGADO', message: `Cliente "${client.id}" sem acesso à rota "${route}".` };
+  }
+  if (forceOnDemand && client.forceOnDemand === false) {
+    return { ok: false, code: 'ACESSO_NEGADO', message: `Cliente "${client.id}" não pode usar forceOnDemand.` };
+  }
+  const allowed = checkTenant(client, { forceOnDemand, cenario });
+  annotate(res, { tenant: allowed.tenant?.id ?? null });
+  if (!allowed.ok) return allowed;
+
+  const now = Date.now();
+  const ratePerMinute = Number(client.ratePerMinute) || 0;
+  if (ratePerMinute > 0) {
+    const windowStart = Math.floor(now / 60000) * 60000;
+    const rate = await consume(`rate:${client.id}:${windowStart}`, 1, ratePerMinute, 60000);
+    res.setHeader('X-RateLimit-Limit', String(ratePerMinute));
+    res.setHeader('X-RateLimit-Remaining', String(Math.max(0, ratePerMinute - rate.used)));
+    if (!rate.allowed) {
+      res.setHeader('Retry-After', String(Math.ceil((windowStart + 60000 - now) / 1000)));
+      return { ok: false, code: 'LIMITE_CLIENTE_EXCEDIDO', message: `Limite de ${ratePerMinute} chamadas por minuto excedido.` };
+    }
+  }
+
+  const quota = await chargeQuota(res, client, cost);
+  if (!quota.ok) return quota;
+
+  return allowed;
+}
+
+/**
+ * Desconta `cost` consultas da cota diária do cliente (sem cliente ou sem dailyQuota, não faz nada).
+ * As rotas que criam buscas autorizam com cost: 0 e chamam esta função só depois de validar a entrada,
+ * logo antes de criar a busca: CNJ ou parâmetro inválido não gasta cota.
+ * Retorna { ok: true } ou { ok: false, code, message }.
+ */
+export async function chargeQuota(res, client, cost = 1) {
+  const dailyQuota = Number(client?.dailyQuota) || 0;
+  if (dailyQuota <= 0) return { ok: true };
+
+  const now = Date.now();
+  const day = Math.floor((now - BRT_OFFSET_MS) / DAY_MS);
+  const quota = await consume(`quota:${client.id}:${day}`, cost, dailyQuota, 2 * DAY_MS);
+  res.setHeader('X-Quota-Limit', String(dailyQuota));
+  res.setHeader('X-Quota-Remaining', String(Math.max(0, dailyQuota - quota.used)));
+  if (!quota.allowed) {
+    res.setHeader('Retry-After', String(Math.ceil(((day + 1) * DAY_MS + BRT_OFFSET_MS - now) / 1000)));
+    return { ok: false, code: 'COTA_EXCEDIDA', message: `Cota diária de ${dailyQuota} consultas esgotada.` };
+  }
+  return { ok: true };
+}
+
+// Regras do tenant (lib/tenants.js) valem para todos os seus clientes
+function checkTenant(client, { forceOnDemand, cenario = null }) {
+  const resolved = resolveTenant(client);
+  const tenant = cenario ? mockTenant(resolved, cenario) : resolved;
+  if (!tenant.configured) {
+    return { ok: false, code: 'CONFIGURACAO_AUSENTE', message: `Tenant "${tenant.id}" não configurado em PROXY_TENANTS.` };
+  }
+  if (forceOnDemand && !tenant.onDemand) {
+    return { ok: false, code: 'ACESSO_NEGADO', message: `Tenant "${tenant.id}" não pode usar forceOnDemand.` };
+  }
+  return { ok: true, client, tenant };
+}
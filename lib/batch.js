@@ -0,0 +1,121 @@
+// lib/batch.js
+// Consulta em lote: cria as buscas de vários CNJs (concorrência limitada) e faz o polling
+// com um orçamento de tempo compartilhado. Cada resultado sai com seu próprio status HTTP-like.
+
+import { finishLookup, startLookup } from './cache.js';
+import { parseCnj } from './cnj.js';
+import { classifyUpstreamError, errorStatus } from './errors.js';
+import { describeJob } from './jobs.js';
+import { createTrace } from './judit.js';
+import { pollResponses } from './poll.js';
+import { fullResult, minimalResult } from './respond.js';
+import { createTenantRequest, recordCompletion } from './usage.js';
+
+export const BATCH_MAX_CNJS = 500;
+
+// Executa fn sobre os itens com no máximo `limit` em paralelo
+export async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Lista de CNJs a partir de array ou texto separado por vírgula / quebra de linha
+export function readCnjList(value) {
+  const list = Array.isArray(value) ? value : typeof value === 'string' ? value.split(/[\s,;]+/) : [];
+  return list.map((c) => String(c ?? '').trim()).filter(Boolean);
+}
+
+// http_status segue a taxonomia de lib/errors.js, como nas rotas de um CNJ só
+function errorItem(index, cnj, status, codigo, error, requestId = null) {
+  return { index, cnj, status, http_status: errorStatus(codigo), codigo, request_id: requestId, data: null, erro: error };
+}
+
+/**
+ * tenant: lib/tenants.js (chave da JUDIT e livro de uso); cnjs: lista de CNJs; view: 'min' | 'full'
+ * options: { withAttachments, includeAttachments, forceOnDemand, noCache, baseUrl, tipos, relevantes, ultimaRelevante, lgpd }
+ * pollOptions: { waitMs (orçamento total), pollInterval, ... }
+ * onResult: chamado à medida que cada CNJ termina (streaming NDJSON)
+ */
+export async function runBatch({ tenant, cnjs, view = 'min', options = {}, pollOptions, concurrency = 5, onResult }) {
+  const {
+    withAttachments = false, includeAttachments = false, forceOnDemand = false, noCache = false, baseUrl,
+    tipos = null, relevantes = false, ultimaRelevante = false, lgpd = null
+  } = options;
+  const { apiKey } = tenant;
+  const deadline = Date.now() + pollOptions.waitMs;
+  const results = new Array(cnjs.length);
+  const emit = async (item) => {
+    results[item.index] = item;
+    if (onResult) await onResult(item);
+  };
+
+  // 1) Valida e cria (ou reaproveita) todas as buscas
+  const lookups = await mapLimit(cnjs, concurrency, async (input, index) => {
+    const parsed = parseCnj(input);
+    if (!parsed.valid) {
+      await emit(errorItem(index, input, 'invalid', 'CNJ_INVALIDO', { code: parsed.error.code, message: parsed.error.message }));
+      return null;
+    }
+    const cnj = parsed.formatted;
+    const trace = createTrace();
+    try {
+      const lookup = await startLookup({
+        tenant: tenant.id, cnj, withAttachments, forceOnDemand, noCache,
+        create: () => createTenantRequest({ tenant, cnj, onDemand: forceOnDemand, withAttachments, trace })
+      });
+      if (!lookup.cached && !lookup.requestId) {
+        await emit(errorItem(index, cnj, 'error', 'REQUEST_ID_AUSENTE', { message: 'request_id não retornado.' }));
+        return null;
+      }
+      return { index, cnj, lookup, trace };
+    } catch (err) {
+      await emit(errorItem(index, cnj, 'error', classifyUpstreamError(err), { message: err?.message || 'Falha ao criar requisição', detail: err?.detail || null }));
+      return null;
+    }
+  });
+
+  // 2) Polling com o tempo que sobrar (cada CNJ recebe ao menos uma consulta)
+  await mapLimit(lookups.filter(Boolean), concurrency, async ({ index, cnj, lookup, trace }) => {
+    const { requestId } = lookup;
+    const job = describeJob({ requestId, cnj, view, includeAttachments });
+    try {
+      const poll = lookup.cached || await finishLookup(lookup, await pollResponses({
+        apiKey, requestId, ...pollOptions, waitMs: Math.max(0, deadline - Date.now()), trace
+      }));
+      await recordCompletion(tenant, requestId, poll);
+      const result = view === 'full'
+        ? fullResult({ cnj, poll, job, includeAttachments, options: { baseUrl, tipos, relevantes, lgpd } })
+        : minimalResult({ cnj, poll, options: { ultimaRelevante, lgpd } });
+      await emit({
+        index,
+        cnj,
+        status: result.outcome,
+        http_status: result.status,
+        codigo: result.code,
+        request_id: requestId,
+        ...(result.status !== 200 ? { job } : {}),
+        ...(result.lgpd ? { lgpd: result.lgpd } : {}),
+        data: result.body,
+        erro: null
+      });
+    } catch (err) {
+      await emit(errorItem(index, cnj, 'error', classifyUpstreamError(err), { message: err?.message || 'Falha no polling', detail: err?.detail || null }, requestId));
+    }
+  });
+
+  return results;
+}
+
+export function summarize(results) {
+  const resumo = { completed: 0, partial: 0, timeout: 0, not_found: 0, invalid: 0, error: 0 };
+  for (const r of results) if (r) resumo[r.status] = (resumo[r.status] || 0) + 1;
+  return resumo;
+}
@@ -0,0 +1,106 @@
+// lib/cache.js
+// Cache de respostas por tenant + CNJ (+ withAttachments/forceOnDemand) e coalescência de buscas em andamento:
+// chamadas simultâneas para a mesma chave compartilham um único request_id na JUDIT.
+// TTL em PROXY_CACHE_TTL_MS (padrão 5 min; 0 desliga o cache, mantendo a coalescência).
+
+import { recordSnapshot } from './history.js';
+import { getStore } from './store.js';
+
+const DEFAULT_TTL_MS = 5 * 60 * 1000;
+const PENDING_TTL_MS = 10 * 60 * 1000; // quanto tempo um request_id em andamento pode ser reaproveitado
+
+// Criações em curso neste processo (janela entre o POST /requests e a gravação no store)
+const inflight = new Map();
+
+export function cacheTtlMs() {
+  const raw = process.env.PROXY_CACHE_TTL_MS;
+  const v = raw == null || raw === '' ? DEFAULT_TTL_MS : parseInt(raw, 10);
+  return Number.isFinite(v) && v > 0 ? v : 0;
+}
+
+// O request_id pertence à conta JUDIT do tenant: não pode ser compartilhado entre tenants
+export function cacheKey({ tenant = 'default', cnj, withAttachments = false, forceOnDemand = false }) {
+  const digits = String(cnj || '').replace(/\D/g, '');
+  return `${tenant}|${digits}|att=${withAttachments ? 1 : 0}|od=${forceOnDemand ? 1 : 0}`;
+}
+
+async function acquireRequest(key, create) {
+  const running = inflight.get(key);
+  if (running) {
+    const r = await running;
+    return { ...r, shared: true };
+  }
+
+  const p = (async () => {
+    const pending = await getStore().get(`pending:${key}`);
+    if (pending?.requestId) return { requestId: pending.requestId, created: null, shared: true };
+
+    const created = await create();
+    const requestId = created?.request_id || null;
+    if (requestId) await getStore().set(`pending:${key}`, { requestId, createdAt: Date.now() }, PENDING_TTL_MS);
+    return { requestId, created, shared: false };
+  })();
+
+  inflight.set(key, p);
+  try {
+    return await p;
+  } finally {
+    inflight.delete(key);
+  }
+}
+
+// Resultado em cache, sem criar busca: { requestId, cached } (cached no formato do polling) ou null
+export async function readCached({ tenant, cnj, withAttachments = false, forceOnDemand = false }) {
+  if (cacheTtlMs() <= 0) return null;
+  const hit = await getStore().get(`cache:${cacheKey({ tenant, cnj, withAttachments, forceOnDemand })}`);
+  if (!hit?.completed) return null;
+  return {
+    requestId: hit.requestId || null,
+    cached: {
+      completed: hit.completed,
+      responses: hit.responses || [hit.completed],
+      requestStatus: 'completed',
+      attempts: 0,
+      waited_ms: 0,
+      isCompleted: true,
+      cache: { hit: true, age_ms: Date.now() - hit.storedAt, shared_request: false }
+    }
+  };
+}
+
+// Devolve { cached } (resultado pronto, no formato do polling) ou { requestId, created, shared }
+export async function startLookup({
+  tenant, cnj, withAttachments = false, forceOnDemand = false, noCache = false, create
+}) {
+  const key = cacheKey({ tenant, cnj, withAttachments, forceOnDemand });
+
+  if (!noCache) {
+    const hit = await readCached({ tenant, cnj, withAttachments, forceOnDemand });
+    if (hit) return { key, ...hit };
+  }
+
+  const acquired = await acquireRequest(key, create);
+  return { key, tenant, cnj, cached: null, ...acquired };
+}
+
+// Grava o resultado completo no cache (e no histórico do processo, lib/history.js)
+// e anexa a informação de cache ao resultado do polling
+export async function finishLookup(lookup, poll) {
+  const store = getStore();
+
+  if (poll.isCompleted) {
+    await store.delete(`pending:${lookup.key}`);
+    const ttl = cacheTtlMs();
+    if (ttl > 0) {
+      await store.set(`cache:${lookup.key}`, {
+        requestId: lookup.requestId, completed: poll.completed, responses: poll.responses, storedAt: Date.now()
+      }, ttl);
+    }
+    await recordSnapshot({ tenant: lookup.tenant, cnj: lookup.cnj, requestId: lookup.requestId, poll });
+  } else if (poll.requestStatus === 'completed' && !poll.completed) {
+    // JUDIT concluiu sem dados — não vale a pena reaproveitar esse request_id
+    await store.delete(`pending:${lookup.key}`);
+  }
+
+  return { ...poll, cache: { hit: false, age_ms: null, shared_request: !!lookup.shared } };
+}
@@ -0,0 +1,124 @@
+// lib/calendar.js
+// Calendário forense de dias úteis: fins de semana, feriados nacionais (fixos e móveis), recesso de
+// 20/12 a 20/01 (CPC art. 220) e feriados estaduais/do tribunal em PROXY_FERIADOS (JSON):
+//   { "*": ["2025-11-21"], "BA": ["07-02"], "TJBA": ["2025-06-24"] }
+// Chaves: "*" (todos), UF ou sigla do tribunal. Datas "MM-DD" repetem todo ano; "AAAA-MM-DD" valem uma vez.
+// As datas circulam como strings "AAAA-MM-DD" (dia civil, sem fuso).
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BRT_OFFSET_MS = 3 * 60 * 60 * 1000; // UTC-3, sem horário de verão
+
+const FIXED_HOLIDAYS = ['01-01', '04-21', '05-01', '09-07', '10-12', '11-02', '11-15', '12-25'];
+
+let cachedRaw = null;
+let cachedHolidays = {};
+const nationalByYear = new Map();
+
+function toDate(day) {
+  const [y, m, d] = day.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d));
+}
+
+function toDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+export function shiftDay(day, days) {
+  return toDay(new Date(toDate(day).getTime() + days * DAY_MS));
+}
+
+// Hoje em Brasília
+export function today(ms = Date.now()) {
+  return new Date(ms - BRT_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+// "AAAA-MM-DD" a partir de step_date (ISO ou só a data) — null quando não dá para ler
+export function dayOf(value) {
+  const text = String(value || '');
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text.slice(0, 10);
+  const date = new Date(text);
+  return text && !Number.isNaN(date.getTime()) ? toDay(date) : null;
+}
+
+// Domingo de Páscoa (algoritmo de Meeus/Jones/Butcher)
+function easterDay(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// Feriados nacionais do ano, incluindo carnaval, sexta-feira santa e Corpus Christi (sem expediente forense)
+export function nationalHolidays(year) {
+  if (nationalByYear.has(year)) return nationalByYear.get(year);
+  const easter = easterDay(year);
+  const days = new Set(FIXED_HOLIDAYS.map((md) => `${year}-${md}`));
+  if (year >= 2024) days.add(`${year}-11-20`); // Consciência Negra (Lei 14.759/2023)
+  for (const offset of [-48, -47, -2, 60]) days.add(shiftDay(easter, offset));
+  nationalByYear.set(year, days);
+  return days;
+}
+
+export function loadHolidays(raw = process.env.PROXY_FERIADOS || '') {
+  if (raw === cachedRaw) return cachedHolidays;
+  let parsed = {};
+  try {
+    parsed = raw ? JSON.parse(raw) : {};
+  } catch (_) {
+    throw { message: 'PROXY_FERIADOS não é um JSON válido.', status: 500 };
+  }
+  cachedHolidays = Object.fromEntries(
+    Object.entries(parsed || {}).map(([key, days]) => [key.toUpperCase(), Array.isArray(days) ? days.map(String) : []])
+  );
+  cachedRaw = raw;
+  return cachedHolidays;
+}
+
+// Feriados configurados que valem para a UF/tribunal
+function configuredHoliday(day, { uf = null, tribunal = null } = {}) {
+  const holidays = loadHolidays();
+  const keys = ['*', uf, tribunal].filter(Boolean).map((k) => String(k).toUpperCase());
+  return keys.some((k) => (holidays[k] || []).some((d) => d === day || d === day.slice(5)));
+}
+
+// Recesso forense: 20/12 a 20/01, inclusive
+export function isRecess(day) {
+  const md = day.slice(5);
+  return md >= '12-20' || md <= '01-20';
+}
+
+/**
+ * Dia útil para contagem de prazos.
+ * scope: { uf, tribunal } — seleciona os feriados de PROXY_FERIADOS
+ */
+export function isBusinessDay(day, scope = {}) {
+  const weekday = toDate(day).getUTCDay();
+  if (weekday === 0 || weekday === 6) return false;
+  if (isRecess(day)) return false;
+  if (nationalHolidays(Number(day.slice(0, 4))).has(day)) return false;
+  return !configuredHoliday(day, scope);
+}
+
+export function nextBusinessDay(day, scope = {}) {
+  let next = shiftDay(day, 1);
+  while (!isBusinessDay(next, scope)) next = shiftDay(next, 1);
+  return next;
+}
+
+// n-ésimo dia útil depois de `day` (o próprio dia não conta — CPC art. 224)
+export function addBusinessDays(day, n, scope = {}) {
+  let current = day;
+  for (let i = 0; i < n; i++) current = nextBusinessDay(current, scope);
+  return current;
+}
@@ -0,0 +1,104 @@
+// lib/callbacks.js
+// Callbacks da JUDIT (POST /api/judit/callback): validação e armazenamento por request_id
+
+import { timingSafeEqual } from 'node:crypto';
+import { getStore } from './store.js';
+
+const CALLBACK_TTL_MS = 24 * 60 * 60 * 1000;
+
+function safeEqual(a, b) {
+  const ba = Buffer.from(String(a));
+  const bb = Buffer.from(String(b));
+  return ba.length === bb.length && timingSafeEqual(ba, bb);
+}
+
+export function callbackToken() {
+  return process.env.JUDIT_CALLBACK_TOKEN || null;
+}
+
+// Exige JUDIT_CALLBACK_TOKEN no header x-callback-token ou em ?token= — sem token configurado, recusa tudo
+export function verifyCallbackToken(req, url) {
+  const expected = callbackToken();
+  if (!expected) return false;
+  const got = req.headers['x-callback-token'] || url.searchParams.get('token') || '';
+  return safeEqual(got, expected);
+}
+
+// Normaliza o corpo do callback: { event, requestId, response, requestStatus } ou null se não reconhecido
+export function parseCallback(body) {
+  if (!body || typeof body !== 'object') return null;
+  const payload = body.payload && typeof body.payload === 'object' ? body.payload : {};
+  const requestId = payload.request_id || body.reference_id || body.request_id || null;
+  if (!requestId) return null;
+
+  const event = body.event_type || (payload.response_data ? 'response_created' : null);
+  if (!event) return null;
+
+  return {
+    event,
+    requestId: String(requestId),
+    trackingId: body.reference_type === 'tracking' && body.reference_id ? String(body.reference_id) : null,
+    response: payload.response_data ? payload : null,
+    requestStatus:
+      event === 'request_completed' ? 'completed' : payload.request_status || body.request_status || null
+  };
+}
+
+export async function saveCallback({ requestId, trackingId, response, requestStatus }) {
+  const store = getStore();
+  if (trackingId && response) await saveTrackingResult(trackingId, { requestId, response });
+
+  const key = `callback:${requestId}`;
+  const record = (await store.get(key)) || { requestId, request_status: 'pending', responses: [], updatedAt: null };
+  record.tenant = record.tenant || (await store.get(`request-tenant:${requestId}`)) || null;
+
+  if (response) {
+    const id = response.response_id || null;
+    record.responses = record.responses.filter((r) => !id || r.response_id !== id);
+    record.responses.push(response);
+  }
+  if (requestStatus) record.request_status = requestStatus;
+  record.updatedAt = new Date().toISOString();
+
+  await store.set(key, record, CALLBACK_TTL_MS);
+  return record;
+}
+
+// Tenant dono do request_id, gravado na criação da busca (lib/usage.js): o callback da JUDIT não o informa
+export async function registerRequestTenant(requestId, tenantId) {
+  await getStore().set(`request-tenant:${requestId}`, tenantId, CALLBACK_TTL_MS);
+}
+
+// Com tenant, só devolve o registro se a busca foi criada por ele (null caso contrário)
+export async function getCallback(requestId, { tenant } = {}) {
+  const store = getStore();
+  const record = await store.get(`callback:${requestId}`);
+  if (!record || tenant === undefined) return record;
+  const owner = record.tenant || (await store.get(`request-tenant:${requestId}`));
+  return owner && owner === tenant ? record : null;
+}
+
+// Registro de callback → mesmo formato do resultado do polling (lib/poll.js)
+export function callbackToPoll(record) {
+  const completed = record?.responses?.length ? record.responses[record.responses.length - 1] : null;
+  const requestStatus = record?.request_status || 'pending';
+  return {
+    completed,
+    responses: record?.responses || [],
+    requestStatus,
+    attempts: 0,
+    waited_ms: 0,
+    isCompleted: !!completed && (requestStatus === 'completed' || completed?.request_status === 'completed')
+  };
+}
+
+// Última execução de cada monitoramento (exposta em /api/judit/monitoramentos?id=)
+async function saveTrackingResult(trackingId, { requestId, response }) {
+  await getStore().set(`tracking:${trackingId}`, {
+    requestId, response, receivedAt: new Date().toISOString()
+  }, 30 * CALLBACK_TTL_MS);
+}
+
+export async function getTrackingResult(trackingId) {
+  return getStore().get(`tracking:${trackingId}`);
+}
@@ -0,0 +1,92 @@
+// lib/classifier.js
+// Classificação das movimentações por regras sobre o texto (content): tipo + flag de relevância.
+// A primeira regra que casar vence — as mais específicas (trânsito em julgado, acórdão...) vêm antes.
+
+import { asBool } from './http.js';
+
+// Texto sem acentos, minúsculo, para casar as regras
+export function normalize(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+export const MOVEMENT_RULES = [
+  { tipo: 'TRANSITO_EM_JULGADO', relevante: true, pattern: /transit(o|ou|ado) em julgado/ },
+  { tipo: 'ARQUIVAMENTO', relevante: true, pattern: /arquivamento|arquivad[oa]s?\b|baixa definitiva/ },
+  { tipo: 'ACORDAO', relevante: true, pattern: /acordao|acordaram/ },
+  // "conclusos para decisão/sentença" ainda não é a decisão
+  { tipo: 'CONCLUSAO', relevante: false, pattern: /conclus(os|ao)/ },
+  {
+    tipo: 'SENTENCA',
+    relevante: true,
+    pattern: /sentenca|julgad[oa] (im)?procedente|julgo (im)?procedente|homologo|extin(cao|to) (do processo|sem|com) /
+  },
+  { tipo: 'AUDIENCIA', relevante: true, pattern: /audiencia|sessao de (conciliacao|mediacao|julgamento)/ },
+  { tipo: 'CITACAO', relevante: true, pattern: /citacao|citad[oa]\b|cite-se/ },
+  { tipo: 'INTIMACAO', relevante: true, pattern: /intimacao|intimad[oa]s?\b|intime-se|notificacao/ },
+  {
+    tipo: 'RECURSO',
+    relevante: true,
+    pattern: /recurso|apelacao|agravo|embargos de declaracao|contrarrazoes|contra-razoes/
+  },
+  {
+    tipo: 'DECISAO',
+    relevante: true,
+    pattern: /decisao|liminar|tutela (de urgencia|antecipada|provisoria)|(in)?deferid[oa]|(in)?defiro/
+  },
+  { tipo: 'DESPACHO', relevante: false, pattern: /despacho|mero expediente/ },
+  { tipo: 'JUNTADA', relevante: false, pattern: /juntada|juntado/ },
+  { tipo: 'PUBLICACAO', relevante: false, pattern: /publicad[oa]|publicacao|disponibilizad[oa] no (dj|diario)/ },
+  { tipo: 'DISTRIBUICAO', relevante: false, pattern: /distribuid[oa]|distribuicao|redistribu/ },
+  { tipo: 'PETICAO', relevante: false, pattern: /peticao/ }
+];
+
+export const MOVEMENT_TYPES = [...MOVEMENT_RULES.map((r) => r.tipo), 'ANDAMENTO'];
+
+// { tipo, relevante } — sem regra aplicável: ANDAMENTO, não relevante
+export function classifyMovement(content) {
+  const text = normalize(content);
+  const rule = text ? MOVEMENT_RULES.find((r) => r.pattern.test(text)) : null;
+  return rule ? { tipo: rule.tipo, relevante: rule.relevante } : { tipo: 'ANDAMENTO', relevante: false };
+}
+
+// Filtros da rota full (tipo=SENTENCA,decisão&relevantes=1) e "última relevante" do JSON enxuto (ultima=relevante)
+// { tipos: string[] | null, relevantes: boolean, ultimaRelevante: boolean, error: string | null }
+export function readMovementFilters(searchParams) {
+  const tiposRaw = (searchParams.get('tipo') || '').trim();
+  const relevantes = asBool(searchParams.get('relevantes'));
+  const ultimaRelevante = normalize(searchParams.get('ultima') || '').trim() === 'relevante';
+
+  let tipos = null;
+  if (tiposRaw) {
+    tipos = tiposRaw.split(',').map((t) => normalize(t).trim().replace(/[\s/-]+/g, '_').toUpperCase()).filter(Boolean);
+    const unknown = tipos.filter((t) => !MOVEMENT_TYPES.includes(t));
+    if (unknown.length) {
+      return {
+        tipos: null, relevantes, ultimaRelevante,
+        error: `Parâmetro "tipo" inválido (${unknown.join(', ')}). Use: ${MOVEMENT_TYPES.join(', ')}.`
+      };
+    }
+  }
+  return { tipos, relevantes, ultimaRelevante, error: null };
+}
+
+export function hasMovementFilters(opts) {
+  return !!((opts?.tipos && opts.tipos.length) || opts?.relevantes);
+}
+
+// Mantém só os steps dos tipos pedidos e/ou relevantes
+export function filterSteps(steps, { tipos = null, relevantes = false } = {}) {
+  if (!hasMovementFilters({ tipos, relevantes })) return steps;
+  return steps.filter((s) => {
+    const c = classifyMovement(s?.content);
+    return (!tipos || !tipos.length || tipos.includes(c.tipo)) && (!relevantes || c.relevante);
+  });
+}
+
+// Movimentação relevante mais recente (steps em ordem DESC)
+export function lastRelevantStep(steps) {
+  return steps.find((s) => classifyMovement(s?.content).relevante) || null;
+}
@@ -0,0 +1,90 @@
+// lib/cnj.js
+// Numeração única CNJ (Resolução CNJ 65/2008): NNNNNNN-DD.AAAA.J.TR.OOOO
+// Aceita a forma formatada ou os 20 dígitos, confere o dígito verificador (módulo 97) e decodifica os campos.
+
+const FORMATTED = /^(\d{1,7})-(\d{2})\.(\d{4})\.(\d)\.(\d{2})\.(\d{4})$/;
+
+export const SEGMENTOS = {
+  1: 'Supremo Tribunal Federal',
+  2: 'Conselho Nacional de Justiça',
+  3: 'Superior Tribunal de Justiça',
+  4: 'Justiça Federal',
+  5: 'Justiça do Trabalho',
+  6: 'Justiça Eleitoral',
+  7: 'Justiça Militar da União',
+  8: 'Justiça dos Estados e do Distrito Federal e Territórios',
+  9: 'Justiça Militar Estadual'
+};
+
+// DD = 98 - (NNNNNNN AAAA J TR OOOO 00 mod 97)
+export function computeCheckDigits({ sequencial, ano, segmento, tribunal, origem }) {
+  const base = BigInt(`${sequencial}${ano}${segmento}${tribunal}${origem}00`);
+  return String(98n - (base % 97n)).padStart(2, '0');
+}
+
+function invalid(input, code, message) {
+  return { valid: false, input, error: { code, message } };
+}
+
+// { valid, digits, formatted, sequencial, dv, ano, segmento, segmento_nome, tribunal, origem } ou { valid: false, error }
+export function parseCnj(input) {
+  const raw = String(input ?? '').trim();
+  if (!raw) return invalid(raw, 'CNJ_AUSENTE', 'Parâmetro "cnj" é obrigatório.');
+
+  let parts = null;
+  const m = raw.match(FORMATTED);
+  if (m) {
+    parts = [m[1].padStart(7, '0'), m[2], m[3], m[4], m[5], m[6]];
+  } else if (/^[\d\s.\-]+$/.test(raw)) {
+    const digits = raw.replace(/\D/g, '');
+    if (digits.length !== 20) {
+      return invalid(raw, 'CNJ_TAMANHO_INVALIDO', `O número CNJ deve ter 20 dígitos (recebidos ${digits.length}).`);
+    }
+    parts = [digits.slice(0, 7), digits.slice(7, 9), digits.slice(9, 13), digits.slice(13, 14), digits.slice(14, 16), digits.slice(16, 20)];
+  } else {
+    return invalid(raw, 'CNJ_FORMATO_INVALIDO', 'Use NNNNNNN-DD.AAAA.J.TR.OOOO ou os 20 dígitos.');
+  }
+
+  const [sequencial, dv, ano, segmento, tribunal, origem] = parts;
+
+  if (!SEGMENTOS[segmento]) {
+    return invalid(raw, 'CNJ_SEGMENTO_INVALIDO', `Segmento de justiça "${segmento}" inexistente.`);
+  }
+  const year = parseInt(ano, 10);
+  if (year < 1900 || year > new Date().getFullYear() + 1) {
+    return invalid(raw, 'CNJ_ANO_INVALIDO', `Ano "${ano}" fora do intervalo aceito.`);
+  }
+  const expected = computeCheckDigits({ sequencial, ano, segmento, tribunal, origem });
+  if (expected !== dv) {
+    return invalid(raw, 'CNJ_DIGITO_INVALIDO', `Dígito verificador inválido (esperado ${expected}).`);
+  }
+
+  return {
+    valid: true,
+    input: raw,
+    digits: `${sequencial}${dv}${ano}${segmento}${tribunal}${origem}`,
+    formatted: `${sequencial}-${dv}.${ano}.${segmento}.${tribunal}.${origem}`,
+    sequencial,
+    dv,
+    ano: year,
+    segmento: Number(segmento),
+    segmento_nome: SEGMENTOS[segmento],
+    tribunal,
+    origem
+  };
+}
+
+// Campos decodificados, no formato exposto em processo.cnj_decodificado
+export function describeCnj(parsed) {
+  if (!parsed?.valid) return null;
+  return {
+    numero: parsed.formatted,
+    sequencial: parsed.sequencial,
+    digito_verificador: parsed.dv,
+    ano: parsed.ano,
+    segmento: parsed.segmento,
+    segmento_nome: parsed.segmento_nome,
+    tribunal: parsed.tribunal,
+    origem: parsed.origem
+  };
+}
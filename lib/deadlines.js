@@ -0,0 +1,72 @@
+// lib/deadlines.js
+// Prazos processuais estimados a partir das movimentações que abrem prazo (citação, intimação, publicação).
+// O prazo vem do texto quando informado ("prazo de 15 (quinze) dias"); senão, do padrão do CPC para o ato.
+// Contagem pelo calendário de lib/calendar.js — é uma estimativa, não substitui a conferência do advogado.
+
+import { addBusinessDays, dayOf, isBusinessDay, nextBusinessDay, shiftDay, today } from './calendar.js';
+import { normalize } from './classifier.js';
+
+// Ordem importa: "citação ... publicada" é citação
+const TRIGGERS = [
+  { evento: 'CITACAO', pattern: /citacao|citad[oa]s?\b|cite-se/ },
+  { evento: 'INTIMACAO', pattern: /intimacao|intimad[oa]s?\b|intime-se|notificacao|notificad[oa]s?\b/ },
+  { evento: 'PUBLICACAO', pattern: /publicad[oa]|publicacao|disponibilizad[oa] no (dj|diario)/ }
+];
+
+// Prazo já encerrado, ou ato só expedido (ainda não cumprido)
+const IGNORE = /decorrid|decurso|transcorrid|esgotad|expedi(cao|do|da)\b/;
+
+const EXPLICIT_TERM = /(?:prazo|em) (?:legal )?(?:de )?(\d{1,3})\s*(?:\([a-z\s]+\)\s*)?dias?( uteis| corridos)?/;
+
+// Prazo padrão quando o texto não informa
+function defaultTerm(evento, text) {
+  if (evento === 'CITACAO') return { dias: 15, fundamento: 'CPC art. 335 (contestação)' };
+  if (/embargos de declaracao/.test(text)) return { dias: 5, fundamento: 'CPC art. 1.023 (embargos de declaração)' };
+  if (/sentenca|acordao/.test(text)) return { dias: 15, fundamento: 'CPC art. 1.003, § 5º (recurso)' };
+  return { dias: 5, fundamento: 'CPC art. 218, § 3º (prazo não fixado)' };
+}
+
+/**
+ * Prazo aberto por uma movimentação, ou null quando ela não abre prazo.
+ * scope: { uf, tribunal } — feriados locais (PROXY_FERIADOS)
+ */
+export function detectDeadline(step, scope = {}) {
+  const text = normalize(step?.content);
+  const day = dayOf(step?.step_date);
+  if (!text || !day || IGNORE.test(text)) return null;
+
+  const trigger = TRIGGERS.find((t) => t.pattern.test(text));
+  if (!trigger) return null;
+
+  const explicit = text.match(EXPLICIT_TERM);
+  const term = explicit
+    ? { dias: parseInt(explicit[1], 10), fundamento: 'prazo informado na movimentação' }
+    : defaultTerm(trigger.evento, text);
+  if (!term.dias) return null;
+  const corridos = explicit?.[2]?.trim() === 'corridos';
+
+  // Disponibilização no DJe: a publicação é o 1º dia útil seguinte (Lei 11.419/2006, art. 4º, § 3º)
+  const base = /disponibilizad[oa]/.test(text) ? nextBusinessDay(day, scope) : day;
+  const inicio = nextBusinessDay(base, scope);
+  let vencimento = corridos ? shiftDay(inicio, term.dias - 1) : addBusinessDays(base, term.dias, scope);
+  // Em dias corridos, vencimento sem expediente passa para o próximo dia útil (CPC art. 224, § 1º)
+  if (!isBusinessDay(vencimento, scope)) vencimento = nextBusinessDay(vencimento, scope);
+
+  return {
+    step_id: step?.step_id || null,
+    data_movimentacao: step?.step_date || null,
+    evento: trigger.evento,
+    dias: term.dias,
+    contagem: corridos ? 'dias_corridos' : 'dias_uteis',
+    fundamento: term.fundamento,
+    origem: explicit ? 'texto' : 'padrao',
+    inicio,
+    vencimento,
+    situacao: today() > vencimento ? 'vencido' : 'aberto'
+  };
+}
+
+// Prazos de todas as movimentações (steps em ordem DESC), mais recentes primeiro
+export function detectDeadlines(steps, scope = {}) {
+  return (steps || []).map((s) => detectDeadline(s, scope)).filter(Boolean);
+}
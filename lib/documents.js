@@ -0,0 +1,45 @@
+// lib/documents.js
+// CPF, CNPJ e OAB: normalização e validação dos dígitos verificadores
+
+const UFS = [
+  'AC', 'AL', 'AM', 'AP', 'BA', 'CE', 'DF', 'ES', 'GO', 'MA', 'MG', 'MS', 'MT', 'PA', 'PB',
+  'PE', 'PI', 'PR', 'RJ', 'RN', 'RO', 'RR', 'RS', 'SC', 'SE', 'SP', 'TO'
+];
+
+export function onlyDigits(v) {
+  return String(v ?? '').replace(/\D/g, '');
+}
+
+export function isValidCpf(value) {
+  const d = onlyDigits(value);
+  if (d.length !== 11 || /^(\d)\1{10}$/.test(d)) return false;
+  const calc = (len) => {
+    let sum = 0;
+    for (let i = 0; i < len; i += 1) sum += Number(d[i]) * (len + 1 - i);
+    const r = (sum * 10) % 11;
+    return r === 10 ? 0 : r;
+  };
+  return calc(9) === Number(d[9]) && calc(10) === Number(d[10]);
+}
+
+export function isValidCnpj(value) {
+  const d = onlyDigits(value);
+  if (d.length !== 14 || /^(\d)\1{13}$/.test(d)) return false;
+  const calc = (len) => {
+    const weights = len === 12 ? [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2] : [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2];
+    let sum = 0;
+    for (let i = 0; i < len; i += 1) sum += Number(d[i]) * weights[i];
+    const r = sum % 11;
+    return r < 2 ? 0 : 11 - r;
+  };
+  return calc(12) === Number(d[12]) && calc(13) === Number(d[13]);
+}
+
+// OAB: número + UF em qualquer ordem ("123456/SP", "SP 123.456", "123456SP") → "123456SP"
+export function normalizeOab(value) {
+  const s = String(value ?? '').toUpperCase();
+  const uf = (s.match(/[A-Z]{2}/) || [])[0];
+  const num = onlyDigits(s);
+  if (!uf || !UFS.includes(uf) || !num || num.length > 7) return null;
+  return `${num}${uf}`;
+}
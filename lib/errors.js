@@ -0,0 +1,102 @@
+// lib/errors.js
+// Taxonomia de erros do proxy. O código sai sempre no header X-Proxy-Codigo e, com erro=1,
+// também na chave "erro" do JSON enxuto — sem mexer nas 6 chaves do contrato.
+
+import { asBool, sendJson } from './http.js';
+import { emptyMinimalPayload } from './payload.js';
+import { buildSummary } from './summary.js';
+
+export const ERROS = {
+  OK: { status: 200, mensagem: null },
+  PARCIAL: { status: 202, mensagem: 'Resposta parcial: a JUDIT ainda está finalizando.' },
+  PENDENTE: { status: 202, mensagem: 'Requisição criada na JUDIT; acompanhe pelo job.' },
+  TIMEOUT: { status: 202, mensagem: 'A JUDIT ainda está processando; tente novamente pelo job.' },
+  CNJ_AUSENTE: { status: 400, mensagem: 'Parâmetro "cnj" é obrigatório.' },
+  CNJ_INVALIDO: { status: 400, mensagem: 'Número CNJ inválido.' },
+  PARAMETRO_INVALIDO: { status: 400, mensagem: 'Parâmetro inválido.' },
+  NAO_AUTENTICADO: { status: 401, mensagem: 'Cliente não autenticado.' },
+  ACESSO_NEGADO: { status: 403, mensagem: 'Cliente sem permissão para esta chamada.' },
+  NAO_ENCONTRADO: { status: 404, mensagem: 'Processo não encontrado na JUDIT.' },
+  SEGREDO_DE_JUSTICA: { status: 403, mensagem: 'Processo em segredo de justiça.' },
+  LIMITE_EXCEDIDO: { status: 429, mensagem: 'Limite de requisições da JUDIT excedido.' },
+  LIMITE_CLIENTE_EXCEDIDO: { status: 429, mensagem: 'Limite de chamadas por minuto do cliente excedido.' },
+  COTA_EXCEDIDA: { status: 429, mensagem: 'Cota diária do cliente esgotada.' },
+  CONFIGURACAO_AUSENTE: { status: 500, mensagem: 'Configuração do proxy incompleta.' },
+  REQUEST_ID_AUSENTE: { status: 502, mensagem: 'A JUDIT não retornou request_id.' },
+  UPSTREAM_NAO_AUTORIZADO: { status: 502, mensagem: 'A JUDIT recusou a api-key do proxy.' },
+  RESPOSTA_INVALIDA: { status: 502, mensagem: 'A JUDIT devolveu uma resposta que não é JSON.' },
+  UPSTREAM_INDISPONIVEL: { status: 503, mensagem: 'A JUDIT está indisponível no momento.' },
+  ERRO_INTERNO: { status: 500, mensagem: 'Erro inesperado no proxy.' }
+};
+
+const SECRECY_TEXT = /segredo|sigilo|secret|secrecy/i;
+const NOT_FOUND_TEXT = /not\s*found|n[ãa]o\s*encontrad/i;
+
+// Erro lançado pelo cliente da JUDIT ({ message, detail: { status, text, circuit } }) → código.
+// Erros do próprio proxy podem trazer o código pronto em err.codigo (ex.: CONFIGURACAO_AUSENTE em lib/redaction.js).
+export function classifyUpstreamError(err) {
+  if (err?.codigo && ERROS[err.codigo]) return err.codigo;
+  const detail = err?.detail || {};
+  const status = detail.status;
+  const text = String(detail.text || '');
+
+  if (detail.circuit === 'open') return 'UPSTREAM_INDISPONIVEL';
+  if (SECRECY_TEXT.test(text)) return 'SEGREDO_DE_JUSTICA';
+  if (status === 404 || NOT_FOUND_TEXT.test(text)) return 'NAO_ENCONTRADO';
+  if (status === 429) return 'LIMITE_EXCEDIDO';
+  if (status === 401 || status === 403) return 'UPSTREAM_NAO_AUTORIZADO';
+  if (status === 400 || status === 422) return 'PARAMETRO_INVALIDO';
+  if (status == null && err?.detail) return 'UPSTREAM_INDISPONIVEL'; // rede / timeout
+  if (status >= 500) return 'UPSTREAM_INDISPONIVEL';
+  return 'ERRO_INTERNO';
+}
+
+// Processo sigiloso que voltou sem movimentações
+export function isSecretLawsuit(lawsuit) {
+  const rd = lawsuit?.response_data || lawsuit || {};
+  const level = Number(rd?.secrecy_level ?? 0);
+  const steps = Array.isArray(rd?.steps) ? rd.steps : [];
+  return level > 0 && !steps.length;
+}
+
+export function errorStatus(code) {
+  return (ERROS[code] || ERROS.ERRO_INTERNO).status;
+}
+
+// Status HTTP do JSON enxuto: processo não encontrado segue com 202, como sempre foi nas rotas enxutas
+// (o código vai no X-Proxy-Codigo e em "erro", com erro=1)
+export function minimalErrorStatus(code) {
+  return code === 'NAO_ENCONTRADO' ? 202 : errorStatus(code);
+}
+
+// Chave "erro" opcional do JSON enxuto: null quando há dados ou o job segue em andamento (async)
+export function erroField(code, mensagem) {
+  if (!code || code === 'OK' || code === 'PARCIAL' || code === 'PENDENTE') return null;
+  return { codigo: code, mensagem: mensagem || (ERROS[code] || ERROS.ERRO_INTERNO).mensagem };
+}
+
+export function setCodeHeader(res, code) {
+  res.setHeader('X-Proxy-Codigo', code);
+}
+
+// Código do resultado do polling: OK, PARCIAL, TIMEOUT, NAO_ENCONTRADO, SEGREDO_DE_JUSTICA ou erro da JUDIT
+export function pollCode(poll, lawsuit) {
+  if (poll.isCompleted) return isSecretLawsuit(lawsuit) ? 'SEGREDO_DE_JUSTICA' : 'OK';
+  if (poll.completed) return 'PARCIAL';
+  if (poll.upstreamError) return classifyUpstreamError(poll.upstreamError); // a JUDIT falhou até o fim
+  if (poll.requestStatus === 'completed') return 'NAO_ENCONTRADO'; // JUDIT concluiu sem nenhuma resposta
+  return 'TIMEOUT';
+}
+
+export function readErroOption(searchParams) {
+  return asBool(searchParams.get('erro') || '0');
+}
+
+// JSON enxuto de erro: as 6 chaves com null (+ "erro" quando pedido com erro=1, "resumo" com formato=)
+export function sendMinimalError(res, { cnj = null, code, mensagem = null, withErro = false, formato = null }) {
+  setCodeHeader(res, code);
+  const body = emptyMinimalPayload(cnj);
+  if (withErro) body.erro = erroField(code, mensagem);
+  if (formato) body.resumo = buildSummary({ cnj, mensagem: mensagem || ERROS[code].mensagem }, formato);
+  return sendJson(res, body, minimalErrorStatus(code));
+}
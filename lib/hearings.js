@@ -0,0 +1,164 @@
+// lib/hearings.js
+// Audiências extraídas do texto das movimentações: data, hora, tipo, modalidade (presencial/virtual, com link)
+// e situação. Horários no fuso de Brasília (UTC-3); a movimentação mais recente de cada audiência prevalece.
+
+import { normalize } from './classifier.js';
+
+const BRT_OFFSET = '-03:00';
+
+const MONTHS = {
+  janeiro: 1, fevereiro: 2, marco: 3, abril: 4, maio: 5, junho: 6,
+  julho: 7, agosto: 8, setembro: 9, outubro: 10, novembro: 11, dezembro: 12
+};
+
+const HEARING = /audiencia|sessao de (conciliacao|mediacao|julgamento)/;
+
+// Ordem importa: "instrução e julgamento" antes de "instrução" e de "julgamento"
+const HEARING_TYPES = [
+  { tipo: 'INSTRUCAO_E_JULGAMENTO', pattern: /instrucao e julgamento|aij\b/ },
+  { tipo: 'CONCILIACAO', pattern: /concilia/ },
+  { tipo: 'MEDIACAO', pattern: /media(cao|dor)/ },
+  { tipo: 'UNA', pattern: /\buna\b/ },
+  { tipo: 'INSTRUCAO', pattern: /instrucao/ },
+  { tipo: 'CUSTODIA', pattern: /custodia/ },
+  { tipo: 'JUSTIFICACAO', pattern: /justificacao/ },
+  { tipo: 'JULGAMENTO', pattern: /julgamento/ }
+];
+
+// "redesignada para <data>" designa a nova data; a anterior vira "redesignada" em extractHearings
+const RESCHEDULED = /redesignad|remarcad|adiad/;
+
+const SITUATIONS = [
+  { situacao: 'cancelada', pattern: /cancelad|desmarcad|sem efeito/ },
+  { situacao: 'nao_realizada', pattern: /nao realizad|frustrad|prejudicad/ },
+  { situacao: 'realizada', pattern: /realizad|encerrad|ocorrid/ }
+];
+
+// Texto logo antes da data da audiência: "designada para (o dia) 15/04", "redesignada para", "marcada: 15/04"
+const SCHEDULED_LEAD = /(?:\bpara|designad[ao]s?|marcad[ao]s?|agendad[ao]s?)(?:\s+(?:o\s+)?(?:dia|data de|a data de))?\s*[:,-]?\s*$/;
+const LEAD_CHARS = 40;
+// Texto logo antes da data antiga numa redesignação: "redesignada de 10/04", "adiada do dia 10/04"
+const PREVIOUS_LEAD = /\b(?:de|do(?:\s+dia)?|da data de)\s*$/;
+
+const URL_PATTERN = /https?:\/\/[^\s<>"')]+/i;
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function validDate(y, m, d) {
+  const date = new Date(Date.UTC(y, m - 1, d));
+  return date.getUTCFullYear() === y && date.getUTCMonth() === m - 1 && date.getUTCDate() === d;
+}
+
+// Datas do texto ("15/04/2025" ou "15 de abril de 2025"), na ordem em que aparecem
+function findDates(text) {
+  const found = [];
+  for (const m of text.matchAll(/\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/g)) {
+    found.push({ index: m.index, end: m.index + m[0].length, y: +m[3], m: +m[2], d: +m[1] });
+  }
+  for (const m of text.matchAll(/\b(\d{1,2}) de ([a-z]+) de (\d{4})\b/g)) {
+    if (MONTHS[m[2]]) found.push({ index: m.index, end: m.index + m[0].length, y: +m[3], m: MONTHS[m[2]], d: +m[1] });
+  }
+  return found.filter((f) => validDate(f.y, f.m, f.d)).sort((a, b) => a.index - b.index);
+}
+
+function dayOfMatch(date) {
+  return `${date.y}-${pad(date.m)}-${pad(date.d)}`;
+}
+
+// Hora logo depois da data: "às 14:00", "as 9h30", "14h", "14:00 horas"
+function findTime(text, from) {
+  const m = text.slice(from, from + 40).match(/(?:^|\D)(\d{1,2})\s*(?::|h)\s*(\d{2})?/);
+  if (!m) return null;
+  const h = +m[1];
+  const min = m[2] ? +m[2] : 0;
+  return h < 24 && min < 60 ? `${pad(h)}:${pad(min)}` : null;
+}
+
+// Data da audiência: a que vem depois de "para"/"designada"; senão a primeira depois da palavra "audiência"
+// (outras datas do texto costumam ser da publicação ou da intimação); por último, a mais próxima antes dela
+function hearingDate(text, dates) {
+  const scheduled = dates.find((d) => SCHEDULED_LEAD.test(text.slice(Math.max(0, d.index - LEAD_CHARS), d.index)));
+  if (scheduled) return scheduled;
+  const keyword = text.search(HEARING);
+  return dates.find((d) => d.index > keyword) || dates.filter((d) => d.index < keyword).pop();
+}
+
+// Data antiga de "redesignada de X para Y": a última antes de Y precedida de "de"/"do dia"
+// (a data da publicação ou da intimação no começo do texto não conta)
+function previousDate(text, dates, date) {
+  return dates
+    .filter((d) => d.index < date.index && PREVIOUS_LEAD.test(text.slice(Math.max(0, d.index - LEAD_CHARS), d.index)))
+    .pop() || null;
+}
+
+function modeOf(text, link) {
+  if (/hibrid/.test(text)) return 'hibrida';
+  if (link || /virtual|videoconferencia|telepresencial|remota|por video|teams|zoom|google meet|webex/.test(text)) return 'virtual';
+  if (/presencial/.test(text)) return 'presencial';
+  return null;
+}
+
+/**
+ * Audiência mencionada numa movimentação, ou null.
+ * { step_id, data, hora, inicio, tipo, modalidade, link, situacao, data_anterior, nova_data, data_movimentacao, conteudo }
+ * A data é a que segue "para"/"designada" (não a da publicação ou da intimação citada no mesmo texto).
+ * Em "redesignada de X para Y" a audiência é a de Y, com data_anterior = X.
+ */
+export function extractHearing(step) {
+  const content = String(step?.content || '');
+  const text = normalize(content);
+  if (!HEARING.test(text)) return null;
+
+  const dates = findDates(text);
+  if (!dates.length) return null;
+  const date = hearingDate(text, dates);
+  const data = dayOfMatch(date);
+  const hora = findTime(text, date.end);
+  const link = content.match(URL_PATTERN)?.[0].replace(/[.,;:]+$/, '') || null;
+  const rescheduled = RESCHEDULED.test(text);
+  const previous = rescheduled ? previousDate(text, dates, date) : null;
+
+  return {
+    step_id: step?.step_id || null,
+    data,
+    hora,
+    inicio: hora ? `${data}T${hora}:00${BRT_OFFSET}` : null,
+    tipo: HEARING_TYPES.find((t) => t.pattern.test(text))?.tipo || 'NAO_INFORMADO',
+    modalidade: modeOf(text, link),
+    link,
+    situacao: (!rescheduled && SITUATIONS.find((s) => s.pattern.test(text))?.situacao) || 'designada',
+    data_anterior: previous ? dayOfMatch(previous) : null,
+    nova_data: null,
+    data_movimentacao: step?.step_date || null,
+    conteudo: content
+  };
+}
+
+// Audiências das movimentações (steps em ordem DESC). Mesma data e tipo = mesma audiência: a situação vem
+// da movimentação mais recente (ex.: designada e depois cancelada) e hora, modalidade e link faltantes
+// são completados pelas anteriores. Ordenadas pela data da audiência.
+export function extractHearings(steps) {
+  const byKey = new Map();
+  const moved = new Map(); // `${tipo}|${data_anterior}` → nova data
+  for (const step of steps || []) {
+    const hearing = extractHearing(step);
+    if (!hearing) continue;
+    const key = `${hearing.tipo}|${hearing.data}`;
+    const known = byKey.get(key);
+    if (known) {
+      for (const field of ['hora', 'inicio', 'modalidade', 'link']) known[field] = known[field] ?? hearing[field];
+      continue;
+    }
+    if (hearing.data_anterior) moved.set(`${hearing.tipo}|${hearing.data_anterior}`, hearing.data);
+    // Designação antiga de uma audiência redesignada depois
+    const movedTo = moved.get(key);
+    if (movedTo && movedTo !== hearing.data && hearing.situacao === 'designada') {
+      hearing.situacao = 'redesignada';
+      hearing.nova_data = movedTo;
+    }
+    byKey.set(key, hearing);
+  }
+  return [...byKey.values()].sort((a, b) => `${a.data}${a.hora || ''}`.localeCompare(`${b.data}${b.hora || ''}`));
+}
@@ -0,0 +1,204 @@
+// lib/history.js
+// Histórico de versões de cada processo por tenant + CNJ: todo resultado completo da JUDIT vira um snapshot
+// (capa, partes e movimentações), gravado só quando algo mudou em relação ao anterior; senão atualiza verificado_em.
+// Até PROXY_HISTORY_LIMIT snapshots por processo (padrão 50; 0 desliga), guardados por PROXY_HISTORY_TTL_MS (padrão 1 ano).
+// O snapshot guarda os dados da JUDIT sem redação; a política LGPD do cliente é aplicada na leitura.
+
+import { createHash } from 'node:crypto';
+import { normalize } from './classifier.js';
+import { lawsuitFromPoll } from './instances.js';
+import { mapParties, mapProcesso, mapStep, sortedSteps } from './payload.js';
+import { redactResponses } from './redaction.js';
+import { getStore } from './store.js';
+
+const DEFAULT_LIMIT = 50;
+const DEFAULT_TTL_MS = 365 * 24 * 60 * 60 * 1000;
+
+// Campos da capa comparados no diff
+export const DIFF_FIELDS = ['fase', 'situacao', 'valor_causa', 'juiz', 'orgao'];
+
+function envInt(name, def) {
+  const raw = process.env[name];
+  const v = raw == null || raw === '' ? def : parseInt(raw, 10);
+  return Number.isFinite(v) && v > 0 ? v : 0;
+}
+
+export function historyLimit() {
+  return envInt('PROXY_HISTORY_LIMIT', DEFAULT_LIMIT);
+}
+
+function historyTtlMs() {
+  return envInt('PROXY_HISTORY_TTL_MS', DEFAULT_TTL_MS);
+}
+
+function digitsOf(cnj) {
+  return String(cnj || '').replace(/\D/g, '');
+}
+
+function indexKey(tenant, cnj) {
+  return `history:${tenant}:${digitsOf(cnj)}`;
+}
+
+function snapshotKey(tenant, cnj, id) {
+  return `${indexKey(tenant, cnj)}:${id}`;
+}
+
+// Visão normalizada de um snapshot (mesmos mapeamentos da rota full)
+function snapshotView(lawsuit, cnj) {
+  const rd = lawsuit?.response_data || lawsuit || {};
+  const { cnj_decodificado, ...processo } = mapProcesso(lawsuit, { cnj });
+  return {
+    processo: { status: rd?.status || null, ...processo },
+    partes: mapParties(rd?.parties),
+    movimentacoes: sortedSteps(lawsuit).map(mapStep)
+  };
+}
+
+// Hash do conteúdo (sem tipo/relevante, que dependem da versão do classificador)
+function contentHash(view) {
+  const steps = view.movimentacoes.map(({ id, data, conteudo, private: priv }) => [id, data, conteudo, priv]);
+  return createHash('sha1').update(JSON.stringify([view.processo, view.partes, steps])).digest('hex');
+}
+
+function stepKey(s) {
+  return s?.id || `${s?.data}|${s?.conteudo}`;
+}
+
+function partyKey(p) {
+  return `${normalize(p?.polo)}|${String(p?.documento || '').replace(/\W/g, '') || normalize(p?.nome)}`;
+}
+
+function lawyerKey(l) {
+  return String(l?.oab || '').replace(/\W/g, '').toUpperCase() || normalize(l?.nome);
+}
+
+// { adicionados, removidos } por chave
+function diffBy(before, after, keyOf) {
+  const beforeKeys = new Set(before.map(keyOf));
+  const afterKeys = new Set(after.map(keyOf));
+  return {
+    adicionados: after.filter((item) => !beforeKeys.has(keyOf(item))),
+    removidos: before.filter((item) => !afterKeys.has(keyOf(item)))
+  };
+}
+
+/**
+ * Diferenças entre duas visões de snapshot (antes → depois):
+ * movimentações novas/removidas, partes e advogados adicionados/removidos e campos da capa alterados.
+ */
+export function diffSnapshots(before, after) {
+  const steps = diffBy(before.movimentacoes, after.movimentacoes, stepKey);
+  const parties = diffBy(before.partes, after.partes, partyKey);
+
+  // Advogados das partes presentes nas duas versões (os de partes novas/removidas vêm junto com a parte)
+  const previous = new Map(before.partes.map((p) => [partyKey(p), p]));
+  const lawyers = { adicionados: [], removidos: [] };
+  for (const party of after.partes) {
+    const old = previous.get(partyKey(party));
+    if (!old) continue;
+    const changed = diffBy(old.advogados, party.advogados, lawyerKey);
+    const withParty = (l) => ({ ...l, parte: party.nome, polo: party.polo });
+    lawyers.adicionados.push(...changed.adicionados.map(withParty));
+    lawyers.removidos.push(...changed.removidos.map(withParty));
+  }
+
+  const campos = DIFF_FIELDS
+    .filter((f) => JSON.stringify(before.processo[f] ?? null) !== JSON.stringify(after.processo[f] ?? null))
+    .map((f) => ({ campo: f, antes: before.processo[f] ?? null, depois: after.processo[f] ?? null }));
+
+  return {
+    movimentacoes: { novas: steps.adicionados, removidas: steps.removidos },
+    partes: { adicionadas: parties.adicionados, removidas: parties.removidos },
+    advogados: lawyers,
+    campos
+  };
+}
+
+// Seções alteradas, para o índice: ['movimentacoes', 'partes', 'advogados', 'juiz', ...]
+export function changedSections(diff) {
+  return [
+    diff.movimentacoes.novas.length || diff.movimentacoes.removidas.length ? 'movimentacoes' : null,
+    diff.partes.adicionadas.length || diff.partes.removidas.length ? 'partes' : null,
+    diff.advogados.adicionados.length || diff.advogados.removidos.length ? 'advogados' : null,
+    ...diff.campos.map((c) => c.campo)
+  ].filter(Boolean);
+}
+
+/**
+ * Grava o snapshot de um resultado completo do polling (chamado em finishLookup e na rota de status).
+ * O cnj vem do cliente (query ou job): só grava quando o próprio processo (code) é esse CNJ.
+ * Retorna a entrada do índice ({ id, capturado_em, verificado_em, request_id, mudancas }) ou null.
+ */
+export async function recordSnapshot({ tenant, cnj, requestId = null, poll, at = Date.now() }) {
+  const limit = historyLimit();
+  if (!limit || !poll?.isCompleted || !cnj) return null;
+  const { lawsuit } = lawsuitFromPoll(poll);
+  if (!lawsuit || !digitsOf(lawsuit.code) || digitsOf(lawsuit.code) !== digitsOf(cnj)) return null;
+
+  const store = getStore();
+  const ttl = historyTtlMs();
+  const key = indexKey(tenant, cnj);
+  const index = (await store.get(key)) || [];
+  const { attachments, ...stored } = lawsuit;
+  const view = snapshotView(stored, cnj);
+  const hash = contentHash(view);
+  const now = new Date(at).toISOString();
+  const last = index[index.length - 1] || null;
+
+  // Nada mudou: só registra que a versão segue valendo
+  if (last?.hash === hash) {
+    last.verificado_em = now;
+    await store.set(key, index, ttl);
+    return last;
+  }
+
+  const previous = last ? await store.get(snapshotKey(tenant, cnj, last.id)) : null;
+  const entry = {
+    id: `v${(last ? parseInt(last.id.slice(1), 10) || 0 : 0) + 1}`,
+    capturado_em: now,
+    verificado_em: now,
+    request_id: requestId,
+    hash,
+    mudancas: previous ? changedSections(diffSnapshots(snapshotView(previous.lawsuit, cnj), view)) : []
+  };
+  await store.set(snapshotKey(tenant, cnj, entry.id), { id: entry.id, capturado_em: now, request_id: requestId, lawsuit: stored }, ttl);
+  index.push(entry);
+  for (const old of index.splice(0, Math.max(0, index.length - limit))) {
+    await store.delete(snapshotKey(tenant, cnj, old.id));
+  }
+  await store.set(key, index, ttl);
+  return entry;
+}
+
+// Índice do processo, do mais antigo ao mais recente (sem o hash interno)
+export async function listSnapshots(tenant, cnj) {
+  const index = (await getStore().get(indexKey(tenant, cnj))) || [];
+  return index.map(({ hash, ...entry }) => entry);
+}
+
+// Versão mais recente gravada, com o lawsuit da JUDIT sem redação ({ id, capturado_em, verificado_em, lawsuit }), ou null
+export async function latestSnapshot(tenant, cnj) {
+  const index = (await getStore().get(indexKey(tenant, cnj))) || [];
+  const last = index[index.length - 1];
+  const stored = last ? await getStore().get(snapshotKey(tenant, cnj, last.id)) : null;
+  return stored ? { id: last.id, capturado_em: last.capturado_em, verificado_em: last.verificado_em, lawsuit: stored.lawsuit } : null;
+}
+
+/**
+ * Um snapshot normalizado, com a política LGPD (lib/redaction.js) aplicada.
+ * Retorna { snapshot, report, refused } ou null quando o id não existe (ou já expirou).
+ */
+export async function loadSnapshot(tenant, cnj, id, lgpd = null) {
+  const index = (await getStore().get(indexKey(tenant, cnj))) || [];
+  const entry = index.find((e) => e.id === id);
+  const stored = entry ? await getStore().get(snapshotKey(tenant, cnj, id)) : null;
+  if (!stored) return null;
+
+  const { responses, report } = redactResponses([stored.lawsuit], lgpd);
+  const { hash, ...meta } = entry;
+  return {
+    snapshot: responses.length ? { ...meta, ...snapshotView(responses[0], cnj) } : { ...meta },
+    report,
+    refused: !responses.length
+  };
+}
@@ -0,0 +1,57 @@
+// lib/http.js
+// Utilitários HTTP compartilhados pelas Serverless Functions
+
+export function sleep(ms) { return new Promise((r) => setTimeout(r, ms)); }
+
+// Trabalho que continua depois da resposta (ex.: entrega de webhooks). Na Vercel usa o waitUntil do contexto
+// da requisição (o mesmo de @vercel/functions) para a função não ser congelada antes de terminar.
+export function runInBackground(task) {
+  const promise = Promise.resolve(task).catch((err) => {
+    console.error(JSON.stringify({ ts: new Date().toISOString(), level: 'error', event: 'background_task', message: err?.message || String(err) }));
+  });
+  globalThis[Symbol.for('@vercel/request-context')]?.get?.()?.waitUntil?.(promise);
+  return promise;
+}
+
+// pretty: false gera JSON compacto (respostas grandes, pretty=0 na rota full)
+export function sendJson(res, obj, status = 200, { pretty = true } = {}) {
+  res.status(status).setHeader('Content-Type', 'application/json; charset=utf-8')
+    .send(pretty ? JSON.stringify(obj, null, 2) : JSON.stringify(obj));
+}
+
+export function asBool(v) {
+  if (v == null) return false;
+  const s = String(v).trim().toLowerCase();
+  return s === '1' || s === 'true' || s === 'yes' || s === 'sim';
+}
+
+export function requestUrl(req) {
+  return new URL(req.url, `http://${req.headers.host}`);
+}
+
+// Origem pública do proxy para links absolutos (PROXY_PUBLIC_URL ou os headers repassados pela Vercel)
+export function publicBaseUrl(req) {
+  if (process.env.PROXY_PUBLIC_URL) return process.env.PROXY_PUBLIC_URL.replace(/\/+$/, '');
+  const headers = req?.headers || {};
+  const proto = String(headers['x-forwarded-proto'] || 'https').split(',')[0].trim();
+  const host = String(headers['x-forwarded-host'] || headers.host || '').split(',')[0].trim();
+  return host ? `${proto}://${host}` : '';
+}
+
+// Corpo JSON da requisição (a Vercel já entrega req.body parseado quando o Content-Type é JSON)
+export async function readJsonBody(req) {
+  if (req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body)) return req.body;
+  let raw = req.body;
+  if (raw == null) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+    raw = Buffer.concat(chunks);
+  }
+  const text = Buffer.isBuffer(raw) ? raw.toString('utf8') : String(raw);
+  if (!text.trim()) return null;
+  try {
+    return JSON.parse(text);
+  } catch (_) {
+    throw { message: 'Corpo JSON inválido', status: 400 };
+  }
+}
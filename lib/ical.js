@@ -0,0 +1,104 @@
+// lib/ical.js
+// Feed iCalendar (RFC 5545) das audiências, para assinatura no Google Agenda / Outlook.
+// Audiência com hora vira evento de 1h (em UTC); sem hora, evento de dia inteiro.
+
+const EVENT_DURATION_MS = 60 * 60 * 1000;
+const REFRESH = 'PT6H';
+
+const TIPOS = {
+  INSTRUCAO_E_JULGAMENTO: 'instrução e julgamento',
+  CONCILIACAO: 'conciliação',
+  MEDIACAO: 'mediação',
+  UNA: 'una',
+  INSTRUCAO: 'instrução',
+  CUSTODIA: 'custódia',
+  JUSTIFICACAO: 'justificação',
+  JULGAMENTO: 'julgamento'
+};
+
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Linhas de até 75 octetos; continuação começa com espaço
+function fold(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let current = '';
+  for (const ch of line) {
+    const limit = parts.length ? 74 : 75;
+    if (Buffer.byteLength(current + ch, 'utf8') > limit) {
+      parts.push(current);
+      current = ch;
+    } else {
+      current += ch;
+    }
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function utcStamp(ms) {
+  return new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function hearingEvent(hearing, { cnj, fonte, now }) {
+  const tipo = TIPOS[hearing.tipo] ? `Audiência de ${TIPOS[hearing.tipo]}` : 'Audiência';
+  const uid = `${String(cnj || '').replace(/\D/g, '')}-${hearing.tipo}-${hearing.data}@zaia-proxy-judit`;
+  const lines = ['BEGIN:VEVENT', `UID:${uid}`, `DTSTAMP:${utcStamp(now)}`];
+
+  if (hearing.inicio) {
+    const start = new Date(hearing.inicio).getTime();
+    lines.push(`DTSTART:${utcStamp(start)}`, `DTEND:${utcStamp(start + EVENT_DURATION_MS)}`);
+  } else {
+    const day = hearing.data.replace(/-/g, '');
+    const next = new Date(Date.parse(`${hearing.data}T00:00:00Z`) + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    lines.push(`DTSTART;VALUE=DATE:${day}`, `DTEND;VALUE=DATE:${next.replace(/-/g, '')}`);
+  }
+
+  const description = [
+    `Processo ${cnj}`,
+    fonte,
+    hearing.modalidade ? `Modalidade: ${hearing.modalidade}` : null,
+    hearing.situacao !== 'designada' ? `Situação: ${hearing.situacao}${hearing.nova_data ? ` para ${hearing.nova_data.split('-').reverse().join('/')}` : ''}` : null,
+    hearing.link,
+    '',
+    hearing.conteudo
+  ].filter((l) => l != null).join('\n');
+
+  lines.push(
+    `SUMMARY:${escapeText(`${tipo} - ${cnj}`)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `LOCATION:${escapeText(hearing.link || (hearing.modalidade === 'presencial' ? `Presencial - ${fonte || ''}` : fonte || ''))}`,
+    ...(hearing.link ? [`URL:${hearing.link}`] : []),
+    `STATUS:${['cancelada', 'redesignada', 'nao_realizada'].includes(hearing.situacao) ? 'CANCELLED' : 'CONFIRMED'}`,
+    'END:VEVENT'
+  );
+  return lines;
+}
+
+/**
+ * VCALENDAR com uma VEVENT por audiência.
+ * hearings: lib/hearings.js; cnj / fonte: identificação do processo no título e na descrição
+ */
+export function buildCalendar({ cnj, fonte = null, hearings = [], now = Date.now() }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//ZAIA//Proxy JUDIT//PT-BR',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(`Audiências ${cnj}`)}`,
+    'X-WR-TIMEZONE:America/Sao_Paulo',
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH}`,
+    `X-PUBLISHED-TTL:${REFRESH}`,
+    ...hearings.flatMap((h) => hearingEvent(h, { cnj, fonte, now })),
+    'END:VCALENDAR'
+  ];
+  return `${lines.map(fold).join('\r\n')}\r\n`;
+}
@@ -0,0 +1,54 @@
+// lib/incremental.js
+// Modo incremental: só as movimentações posteriores a uma data (since) ou a um step_id já visto (afterStepId)
+
+// { since: Date | null, afterStepId: string | null, error: string | null }
+export function readIncrementalOptions(searchParams) {
+  const sinceRaw = (searchParams.get('since') || '').trim();
+  const afterStepId = (searchParams.get('afterStepId') || '').trim() || null;
+  let since = null;
+  if (sinceRaw) {
+    since = new Date(sinceRaw);
+    if (Number.isNaN(since.getTime())) {
+      return { since: null, afterStepId, error: 'Parâmetro "since" deve ser uma data ISO 8601.' };
+    }
+  }
+  return { since, afterStepId, error: null };
+}
+
+export function isIncremental(opts) {
+  return !!(opts?.since || opts?.afterStepId);
+}
+
+// steps em ordem DESC. Se afterStepId não for encontrado, todos contam como novos (marcador antigo/desconhecido).
+export function selectNewSteps(steps, { since = null, afterStepId = null } = {}) {
+  let fresh = steps;
+  let found = null;
+
+  if (afterStepId) {
+    const idx = steps.findIndex((s) => String(s?.step_id) === String(afterStepId));
+    found = idx >= 0;
+    if (found) fresh = steps.slice(0, idx);
+  }
+  if (since) {
+    fresh = fresh.filter((s) => new Date(s?.step_date) > since);
+  }
+
+  return { steps: fresh, afterStepFound: found };
+}
+
+// Bloco comum aos formatos mínimo e completo
+export function incrementalFields(steps, opts) {
+  const { steps: fresh, afterStepFound } = selectNewSteps(steps, opts);
+  return {
+    steps: fresh,
+    fields: {
+      has_updates: fresh.length > 0,
+      novas_movimentacoes: fresh.length
+    },
+    criteria: {
+      since: opts.since ? opts.since.toISOString() : null,
+      after_step_id: opts.afterStepId || null,
+      after_step_encontrado: afterStepFound
+    }
+  };
+}
@@ -0,0 +1,65 @@
+// lib/instances.js
+// Agrupa as responses da JUDIT (todas as páginas) por instância: 1º/2º grau, tribunais superiores etc.
+
+function stepKey(s) {
+  return s?.step_id || `${s?.step_date}|${s?.content}`;
+}
+
+function lastStepTime(steps) {
+  let max = 0;
+  for (const s of steps) {
+    const t = new Date(s?.step_date).getTime();
+    if (Number.isFinite(t) && t > max) max = t;
+  }
+  return max;
+}
+
+// [{ key, lawsuit, responses }] — ordenado pela movimentação mais recente (DESC)
+export function groupByInstance(responses) {
+  const groups = new Map();
+
+  for (const r of responses || []) {
+    if (!r) continue;
+    const rd = r.response_data || r;
+    const key = `${rd?.tribunal_acronym || ''}|${rd?.instance ?? ''}`;
+    const steps = Array.isArray(rd?.steps) ? rd.steps : [];
+    const group = groups.get(key);
+
+    if (!group) {
+      groups.set(key, { key, lawsuit: { ...rd, steps: [...steps] }, responses: [r] });
+      continue;
+    }
+
+    // Mesma instância em mais de uma response: une os steps e completa a capa com o que faltar
+    const seen = new Set(group.lawsuit.steps.map(stepKey));
+    const merged = [...group.lawsuit.steps];
+    for (const s of steps) {
+      if (!seen.has(stepKey(s))) { seen.add(stepKey(s)); merged.push(s); }
+    }
+    group.lawsuit = { ...rd, ...group.lawsuit, steps: merged };
+    group.responses.push(r);
+  }
+
+  return [...groups.values()].sort((a, b) => lastStepTime(b.lawsuit.steps) - lastStepTime(a.lawsuit.steps));
+}
+
+// Responses de um resultado de polling (lib/poll.js) — compatível com resultados antigos só com `completed`
+export function pollResponsesOf(poll) {
+  if (Array.isArray(poll?.responses) && poll.responses.length) return poll.responses;
+  return poll?.completed ? [poll.completed] : [];
+}
+
+// { lawsuit, instances }: capa da instância com a movimentação mais recente + steps e anexos de todas as instâncias
+export function lawsuitFromPoll(poll) {
+  const instances = groupByInstance(pollResponsesOf(poll));
+  if (!instances.length) return { lawsuit: null, instances };
+
+  const primary = instances[0].lawsuit;
+  if (instances.length === 1) return { lawsuit: primary, instances };
+
+  const steps = instances.flatMap((g) => g.lawsuit.steps);
+  // cada anexo guarda a instância de origem (o download na JUDIT é por instância)
+  const attachments = instances.flatMap((g) => (Array.isArray(g.lawsuit.attachments) ? g.lawsuit.attachments : [])
+    .map((a) => ({ ...a, instance: a?.instance ?? g.lawsuit.instance ?? null })));
+  return { lawsuit: { ...primary, steps, attachments }, instances };
+}
@@ -0,0 +1,62 @@
+// lib/jobs.js
+// Token de job assíncrono: embrulha o request_id da JUDIT + opções da consulta,
+// para o cliente retomar o polling em /api/judit/movimentacoes/status sem criar nova requisição.
+// Assinado com HMAC-SHA256 (PROXY_JOB_SECRET): o cliente não consegue trocar o CNJ ou o request_id do job.
+// Sem PROXY_JOB_SECRET a chave é aleatória por processo, e os tokens só valem na instância que os emitiu.
+
+import { createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+
+const STATUS_PATH = '/api/judit/movimentacoes/status';
+const processSecret = randomBytes(32);
+
+function jobSecret() {
+  return process.env.PROXY_JOB_SECRET || processSecret;
+}
+
+function sign(data) {
+  return createHmac('sha256', jobSecret()).update(data).digest('base64url');
+}
+
+export function encodeJob({ requestId, cnj, view = 'min', includeAttachments = false }) {
+  const data = { v: 1, rid: requestId, cnj: cnj || null, view, ...(includeAttachments ? { ia: 1 } : {}) };
+  const encoded = Buffer.from(JSON.stringify(data), 'utf8').toString('base64url');
+  return `${encoded}.${sign(encoded)}`;
+}
+
+// null se o token for inválido ou a assinatura não conferir
+export function decodeJob(token) {
+  try {
+    const [encoded, signature = ''] = String(token).split('.');
+    const expected = Buffer.from(sign(encoded));
+    const got = Buffer.from(signature);
+    if (got.length !== expected.length || !timingSafeEqual(got, expected)) return null;
+    const data = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+    if (data?.v !== 1 || !data?.rid) return null;
+    return {
+      requestId: String(data.rid),
+      cnj: data.cnj || null,
+      view: data.view === 'full' ? 'full' : 'min',
+      includeAttachments: !!data.ia
+    };
+  } catch (_) {
+    return null;
+  }
+}
+
+// Descritor exposto ao cliente (corpo e headers)
+export function describeJob(job) {
+  const token = encodeJob(job);
+  return {
+    token,
+    request_id: job.requestId,
+    status_url: `${STATUS_PATH}?job=${token}`
+  };
+}
+
+// Devolve o handle nos headers — não altera o contrato de chaves do JSON enxuto
+export function setJobHeaders(res, jobInfo) {
+  if (!jobInfo) return;
+  res.setHeader('X-Judit-Request-Id', jobInfo.request_id);
+  res.setHeader('X-Judit-Job', jobInfo.token);
+  res.setHeader('Location', jobInfo.status_url);
+}
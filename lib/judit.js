@@ -0,0 +1,357 @@
+// lib/judit.js
+// Cliente único da API da JUDIT (requests, responses, tracking e anexos), usado por todas as rotas:
+// timeout por chamada (AbortController), retentativas com backoff exponencial + jitter em 429/5xx/rede,
+// respeito ao Retry-After e circuit breaker quando a JUDIT está degradada.
+// Cada rota pode passar um `trace` (createTrace) para reportar chamadas, retentativas e erros em meta.
+// URLs da JUDIT configuráveis (ex.: sandbox) em JUDIT_REQUESTS_URL, JUDIT_TRACKING_URL e JUDIT_LAWSUITS_URL;
+// com JUDIT_MOCK=1 as chamadas vão para as fixtures de lib/mock.js.
+// Toda tentativa entra nas métricas do proxy (lib/observability.js) e no trace (status_codes do log).
+
+import { sleep } from './http.js';
+import { mockEnabled, mockFetch } from './mock.js';
+import { recordUpstream } from './observability.js';
+
+const DEFAULT_BASES = {
+  requests: 'https://requests.prod.judit.io',
+  tracking: 'https://tracking.prod.judit.io',
+  lawsuits: 'https://lawsuits.prod.judit.io'
+};
+
+// Lidas a cada chamada, como o restante da configuração
+function baseUrl(service) {
+  const raw = process.env[`JUDIT_${service.toUpperCase()}_URL`];
+  return (raw && raw.trim() ? raw.trim() : DEFAULT_BASES[service]).replace(/\/+$/, '');
+}
+
+function envInt(name, def) {
+  const v = parseInt(process.env[name] || '', 10);
+  return Number.isFinite(v) && v >= 0 ? v : def;
+}
+
+const config = () => ({
+  timeoutMs: envInt('JUDIT_TIMEOUT_MS', 10000),
+  maxRetries: envInt('JUDIT_MAX_RETRIES', 2),
+  backoffMs: envInt('JUDIT_BACKOFF_MS', 300),
+  maxBackoffMs: 5000,
+  maxRetryAfterMs: 10000, // Retry-After maior que isso: desiste e devolve o erro
+  circuitThreshold: envInt('JUDIT_CIRCUIT_THRESHOLD', 5),
+  circuitCooldownMs: envInt('JUDIT_CIRCUIT_COOLDOWN_MS', 30000)
+});
+
+// ————————————————————————————————————————————————————————————————
+// Circuit breaker (estado do processo)
+
+const circuit = { failures: 0, openedAt: 0, state: 'closed' };
+
+export function circuitState() {
+  if (circuit.state === 'open' && Date.now() - circuit.openedAt >= config().circuitCooldownMs) {
+    circuit.state = 'half-open';
+  }
+  return circuit.state;
+}
+
+function recordSuccess() {
+  circuit.failures = 0;
+  circuit.state = 'closed';
+}
+
+function recordFailure() {
+  circuit.failures += 1;
+  if (circuit.state === 'half-open' || circuit.failures >= config().circuitThreshold) {
+    circuit.state = 'open';
+    circuit.openedAt = Date.now();
+  }
+}
+
+// ————————————————————————————————————————————————————————————————
+// Rastreamento por chamada do proxy (vai para meta.upstream)
+
+export function createTrace() {
+  return { calls: 0, retries: 0, errors: [], statuses: [] };
+}
+
+export function summarizeTrace(trace) {
+  if (!trace) return undefined;
+  return {
+    calls: trace.calls,
+    retries: trace.retries,
+    errors: trace.errors.slice(-5),
+    circuit: circuitState()
+  };
+}
+
+function traceError(trace, op, err) {
+  if (!trace) return;
+  trace.errors.push({
+    op,
+    status: err?.detail?.status ?? null,
+    message: err?.message || String(err),
+    at: new Date().toISOString()
+  });
+}
+
+// Status de cada tentativa (null = rede/timeout) no trace e nas métricas do processo
+function traceAttempt(trace, { status, startedAt, networkError = false, timedOut = false }) {
+  if (trace?.statuses) trace.statuses.push(status);
+  recordUpstream({ status, ms: Date.now() - startedAt, networkError, timedOut });
+}
+
+// Retry-After em segundos ou data HTTP → ms
+function retryAfterMs(res) {
+  const h = res?.headers?.get?.('retry-after');
+  if (!h) return null;
+  const secs = Number(h);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(h);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+}
+
+function backoffDelay(attempt, { backoffMs, maxBackoffMs }) {
+  const ceiling = Math.min(maxBackoffMs, backoffMs * 2 ** attempt);
+  return Math.random() * ceiling; // full jitter
+}
+
+// POST /requests cria (e cobra) uma busca: só repete quando a JUDIT garantidamente não processou
+function isRetryable({ method, status, networkError, timedOut }) {
+  if (method === 'POST') return status === 429 || status === 503 || (networkError && !timedOut);
+  return status === 429 || status >= 500 || networkError;
+}
+
+// Corpo JSON de uma resposta 2xx; senão lança RESPOSTA_INVALIDA (lib/errors.js)
+function parseBody(op, text, status, trace, failMessage) {
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch (_) {
+    const err = {
+      message: `${failMessage} (resposta inválida da JUDIT)`,
+      codigo: 'RESPOSTA_INVALIDA',
+      detail: { status, text: text.slice(0, 300) }
+    };
+    traceError(trace, op, err);
+    throw err;
+  }
+}
+
+// raw: devolve a Response (corpo não lido) para repassar arquivos em streaming
+async function juditFetch(op, url, { apiKey, method = 'GET', body, trace, raw = false }, failMessage) {
+  const cfg = config();
+
+  if (circuitState() === 'open') {
+    const err = { message: 'JUDIT indisponível no momento (circuit breaker aberto).', detail: { status: 503, circuit: 'open' } };
+    traceError(trace, op, err);
+    recordUpstream({ circuitOpen: true });
+    throw err;
+  }
+
+  for (let attempt = 0; ; attempt += 1) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), cfg.timeoutMs);
+    let res = null;
+    let text = null;
+    let err = null;
+    let networkError = false;
+    let timedOut = false;
+    const startedAt = Date.now();
+
+    if (trace) trace.calls += 1;
+    try {
+      res = await (mockEnabled() ? mockFetch : fetch)(url, {
+        method,
+        headers: { 'api-key': apiKey, ...(body ? { 'Content-Type': 'application/json' } : {}) },
+        ...(body ? { body: JSON.stringify(body) } : {}),
+        signal: controller.signal
+      });
+      if (res.ok) {
+        traceAttempt(trace, { status: res.status, startedAt });
+        if (raw) {
+          recordSuccess();
+          return res;
+        }
+        text = await res.text();
+      } else {
+        traceAttempt(trace, { status: res.status, startedAt });
+        const errorText = await res.text().catch(() => '');
+        err = { message: failMessage, detail: { status: res.status, text: errorText } };
+      }
+    } catch (e) {
+      networkError = true;
+      timedOut = e?.name === 'AbortError';
+      if (!res) traceAttempt(trace, { status: null, startedAt, networkError, timedOut });
+      err = {
+        message: timedOut ? `${failMessage} (timeout de ${cfg.timeoutMs} ms)` : `${failMessage} (falha de rede)`,
+        detail: { status: null, text: timedOut ? 'timeout' : e?.message || String(e) }
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+
+    // A JUDIT respondeu 2xx: sucesso para o circuito. Corpo que não é JSON falha na hora, sem retentativa
+    if (!err) {
+      recordSuccess();
+      return parseBody(op, text, res.status, trace, failMessage);
+    }
+
+    traceError(trace, op, err);
+    const status = res?.status ?? null;
+    if (networkError || status >= 500) recordFailure();
+
+    const wait = retryAfterMs(res);
+    const canRetry =
+      attempt < cfg.maxRetries &&
+      isRetryable({ method, status, networkError, timedOut }) &&
+      (wait == null || wait <= cfg.maxRetryAfterMs) &&
+      circuitState() !== 'open';
+    if (!canRetry) {
+      if (wait != null) err.detail.retry_after_ms = wait;
+      throw err;
+    }
+
+    if (trace) trace.retries += 1;
+    await sleep(wait ?? backoffDelay(attempt, cfg));
+  }
+}
+
+// ————————————————————————————————————————————————————————————————
+// Requests / responses
+
+// Por padrão busca um processo pelo CNJ; searchType/searchKey/responseType cobrem cpf, cnpj, oab e name
+export async function createRequest({
+  apiKey, cnj, searchType = 'lawsuit_cnj', searchKey, responseType = 'lawsuit', onDemand = false, withAttachments = false,
+  trace
+}) {
+  const body = {
+    search: {
+      search_type: searchType,
+      search_key: searchKey ?? cnj,
+      response_type: responseType
+    },
+    ...(onDemand ? { on_demand: true } : {}),
+    ...(withAttachments ? { with_attachments: true } : {})
+  };
+  return juditFetch('createRequest', `${baseUrl('requests')}/requests`, { apiKey, method: 'POST', body, trace },
+    'Falha ao criar requisição na JUDIT');
+}
+
+export async function getRequest({ apiKey, requestId, trace }) {
+  return juditFetch('getRequest', `${baseUrl('requests')}/requests/${encodeURIComponent(requestId)}`, { apiKey, trace },
+    'Falha ao consultar request_id na JUDIT');
+}
+
+export async function getResponses({ apiKey, requestId, pageSize = 100, page = 1, trace }) {
+  const url = `${baseUrl('requests')}/responses?page_size=${pageSize}&request_id=${encodeURIComponent(requestId)}` +
+    (page > 1 ? `&page=${page}` : '');
+  return juditFetch('getResponses', url, { apiKey, trace }, 'Falha ao listar responses na JUDIT');
+}
+
+// Percorre todas as páginas de responses (limitado a maxPages)
+export async function getAllResponses({ apiKey, requestId, pageSize = 100, maxPages = 50, trace }) {
+  const items = [];
+  let page = 1;
+  let pageCount = 1;
+  let requestStatus = null;
+  do {
+    const resp = await getResponses({ apiKey, requestId, pageSize, page, trace });
+    if (Array.isArray(resp?.page_data)) items.push(...resp.page_data);
+    requestStatus = resp?.request_status || requestStatus;
+    pageCount = parseInt(resp?.all_pages_count ?? resp?.page_count ?? 1, 10) || 1;
+    page += 1;
+  } while (page <= pageCount && page <= maxPages);
+  return { items, pages: page - 1, pageCount, requestStatus };
+}
+
+// ————————————————————————————————————————————————————————————————
+// Monitoramentos (tracking)
+
+// recurrence em dias
+export async function createTracking({ apiKey, cnj, recurrence = 1, withAttachments = false, trace }) {
+  return juditFetch('createTracking', `${baseUrl('tracking')}/tracking`, {
+    apiKey,
+    method: 'POST',
+    trace,
+    body: {
+      recurrence,
+      search: { search_type: 'lawsuit_cnj', search_key: cnj, response_type: 'lawsuit' },
+      ...(withAttachments ? { with_attachments: true } : {})
+    }
+  }, 'Falha ao criar monitoramento na JUDIT');
+}
+
+export async function listTrackings({ apiKey, page = 1, pageSize = 100, status, trace }) {
+  const qs = new URLSearchParams({ page: String(page), page_size: String(pageSize), ...(status ? { status } : {}) });
+  return juditFetch('listTrackings', `${baseUrl('tracking')}/tracking?${qs}`, { apiKey, trace },
+    'Falha ao listar monitoramentos na JUDIT');
+}
+
+export async function getTracking({ apiKey, trackingId, trace }) {
+  return juditFetch('getTracking', `${baseUrl('tracking')}/tracking/${encodeURIComponent(trackingId)}`, { apiKey, trace },
+    'Falha ao consultar monitoramento na JUDIT');
+}
+
+export async function pauseTracking({ apiKey, trackingId, trace }) {
+  return juditFetch('pauseTracking', `${baseUrl('tracking')}/tracking/${encodeURIComponent(trackingId)}/pause`,
+    { apiKey, method: 'POST', trace }, 'Falha ao pausar monitoramento na JUDIT');
+}
+
+export async function resumeTracking({ apiKey, trackingId, trace }) {
+  return juditFetch('resumeTracking', `${baseUrl('tracking')}/tracking/${encodeURIComponent(trackingId)}/resume`,
+    { apiKey, method: 'POST', trace }, 'Falha ao retomar monitoramento na JUDIT');
+}
+
+export async function deleteTracking({ apiKey, trackingId, trace }) {
+  return juditFetch('deleteTracking', `${baseUrl('tracking')}/tracking/${encodeURIComponent(trackingId)}`,
+    { apiKey, method: 'DELETE', trace }, 'Falha ao excluir monitoramento na JUDIT');
+}
+
+// Respostas geradas pelas execuções do monitoramento
+export async function getTrackingResponses({ apiKey, trackingId, pageSize = 10, trace }) {
+  return juditFetch('getTrackingResponses',
+    `${baseUrl('requests')}/responses/tracking/${encodeURIComponent(trackingId)}?page_size=${pageSize}`,
+    { apiKey, trace }, 'Falha ao listar respostas do monitoramento na JUDIT');
+}
+
+// ————————————————————————————————————————————————————————————————
+// Anexos
+
+// Arquivo de um anexo (coletado com with_attachments) — devolve a Response para streaming
+export async function downloadAttachment({ apiKey, cnj, instance = 1, attachmentId, trace }) {
+  const url = `${baseUrl('lawsuits')}/lawsuits/${encodeURIComponent(cnj)}/${encodeURIComponent(instance)}` +
+    `/attachments/${encodeURIComponent(attachmentId)}`;
+  return juditFetch('downloadAttachment', url, { apiKey, trace, raw: true }, 'Falha ao baixar anexo na JUDIT');
+}
+
+// ————————————————————————————————————————————————————————————————
+// Health check
+
+// Uma consulta barata (lista de monitoramentos, 1 item), sem retentativas e fora do circuit breaker.
+// { alcancavel, status_http, chave_aceita, latencia_ms, erro } — chave_aceita null quando a JUDIT não respondeu
+export async function pingJudit({ apiKey, timeoutMs = envInt('JUDIT_HEALTH_TIMEOUT_MS', 3000) }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  const startedAt = Date.now();
+  try {
+    const res = await (mockEnabled() ? mockFetch : fetch)(`${baseUrl('tracking')}/tracking?page=1&page_size=1`, {
+      method: 'GET',
+      headers: { 'api-key': apiKey },
+      signal: controller.signal
+    });
+    await res.text().catch(() => '');
+    return {
+      alcancavel: res.status < 500,
+      status_http: res.status,
+      chave_aceita: res.status !== 401 && res.status !== 403,
+      latencia_ms: Date.now() - startedAt,
+      erro: res.ok ? null : `HTTP ${res.status}`
+    };
+  } catch (e) {
+    return {
+      alcancavel: false,
+      status_http: null,
+      chave_aceita: null,
+      latencia_ms: Date.now() - startedAt,
+      erro: e?.name === 'AbortError' ? `timeout de ${timeoutMs} ms` : e?.message || String(e)
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
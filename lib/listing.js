@@ -0,0 +1,192 @@
+// lib/listing.js
+// Listagem das movimentações na rota full: período (de/ate), busca no texto (q), paginação
+// (limit/offset ou cursor), projeção de campos (fields) e exportação em CSV ou NDJSON (export=csv|ndjson).
+
+import { dayOf } from './calendar.js';
+import { normalize } from './classifier.js';
+
+export const LISTING_MAX_LIMIT = 1000;
+export const EXPORT_FORMATS = ['csv', 'ndjson'];
+const EXPORT_COLUMNS = ['id', 'data', 'tipo', 'relevante', 'conteudo', 'private'];
+
+function encodeCursor(step) {
+  return Buffer.from(JSON.stringify({ id: step?.step_id || null, data: step?.step_date || null })).toString('base64url');
+}
+
+function decodeCursor(raw) {
+  try {
+    const cursor = JSON.parse(Buffer.from(raw, 'base64url').toString('utf8'));
+    return cursor && (cursor.id || cursor.data) ? cursor : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+// "movimentacoes.data,cnj" → { movimentacoes: { data: true }, cnj: true }
+function fieldTree(paths) {
+  const tree = {};
+  for (const path of paths) {
+    let node = tree;
+    const parts = path.split('.');
+    parts.forEach((part, i) => {
+      if (i === parts.length - 1) node[part] = true;
+      else if (node[part] !== true) node = node[part] = node[part] || {};
+    });
+  }
+  return tree;
+}
+
+/**
+ * { de, ate, q, limit, offset, cursor, fields, export, pretty, error }
+ * de/ate: dias "AAAA-MM-DD" (inclusive); q: termos que precisam aparecer todos no texto
+ */
+export function readListingOptions(searchParams) {
+  const opts = {
+    de: null, ate: null, q: null, limit: null, offset: 0, cursor: null,
+    fields: null, export: null, pretty: searchParams.get('pretty') !== '0', error: null
+  };
+  const fail = (error) => ({ ...opts, error });
+
+  for (const key of ['de', 'ate']) {
+    const raw = (searchParams.get(key) || '').trim();
+    if (!raw) continue;
+    const day = /^\d{4}-\d{2}-\d{2}/.test(raw) && !Number.isNaN(new Date(raw.slice(0, 10)).getTime()) ? raw.slice(0, 10) : null;
+    if (!day) return fail(`Parâmetro "${key}" deve ser uma data AAAA-MM-DD.`);
+    opts[key] = day;
+  }
+  if (opts.de && opts.ate && opts.de > opts.ate) return fail('"de" deve ser anterior ou igual a "ate".');
+
+  opts.q = normalize(searchParams.get('q') || '').trim() || null;
+
+  const limitRaw = searchParams.get('limit');
+  if (limitRaw != null && limitRaw !== '') {
+    const limit = Number(limitRaw);
+    if (!Number.isInteger(limit) || limit < 1 || limit > LISTING_MAX_LIMIT) {
+      return fail(`Parâmetro "limit" deve ser um inteiro entre 1 e ${LISTING_MAX_LIMIT}.`);
+    }
+    opts.limit = limit;
+  }
+  const offsetRaw = searchParams.get('offset');
+  if (offsetRaw != null && offsetRaw !== '') {
+    const offset = Number(offsetRaw);
+    if (!Number.isInteger(offset) || offset < 0) return fail('Parâmetro "offset" deve ser um inteiro maior ou igual a 0.');
+    opts.offset = offset;
+  }
+  const cursorRaw = (searchParams.get('cursor') || '').trim();
+  if (cursorRaw) {
+    opts.cursor = decodeCursor(cursorRaw);
+    if (!opts.cursor) return fail('Parâmetro "cursor" inválido.');
+  }
+
+  const fields = (searchParams.get('fields') || '').split(',').map((f) => f.trim()).filter(Boolean);
+  if (fields.length) opts.fields = fields;
+
+  const exportRaw = (searchParams.get('export') || '').trim().toLowerCase();
+  if (exportRaw) {
+    if (!EXPORT_FORMATS.includes(exportRaw)) return fail(`Parâmetro "export" inválido. Use: ${EXPORT_FORMATS.join(', ')}.`);
+    opts.export = exportRaw;
+  }
+  return opts;
+}
+
+export function hasListingFilters(opts) {
+  return !!(opts?.de || opts?.ate || opts?.q);
+}
+
+export function isPaginated(opts) {
+  return !!(opts?.limit || opts?.offset || opts?.cursor);
+}
+
+// Steps do período e com todos os termos de q
+export function filterListing(steps, { de = null, ate = null, q = null } = {}) {
+  if (!hasListingFilters({ de, ate, q })) return steps;
+  const terms = q ? q.split(/\s+/) : [];
+  return steps.filter((s) => {
+    const day = dayOf(s?.step_date);
+    if ((de || ate) && !day) return false;
+    if (de && day < de) return false;
+    if (ate && day > ate) return false;
+    const text = terms.length ? normalize(s?.content) : '';
+    return terms.every((t) => text.includes(t));
+  });
+}
+
+// { steps, info } — steps em ordem DESC; o cursor aponta para o último step devolvido
+// (estável quando chegam movimentações novas, ao contrário do offset)
+export function paginate(steps, { limit = null, offset = 0, cursor = null } = {}) {
+  if (!isPaginated({ limit, offset, cursor })) return { steps, info: null };
+
+  let start = offset;
+  if (cursor) {
+    const idx = cursor.id ? steps.findIndex((s) => String(s?.step_id) === String(cursor.id)) : -1;
+    // step do cursor sumiu da lista: continua pelo primeiro mais antigo que ele
+    const older = idx >= 0 ? -1 : steps.findIndex((s) => new Date(s?.step_date) < new Date(cursor.data));
+    start = idx >= 0 ? idx + 1 : older >= 0 ? older : steps.length;
+  }
+  const end = limit ? start + limit : steps.length;
+  const page = steps.slice(start, end);
+  const more = end < steps.length;
+
+  return {
+    steps: page,
+    info: {
+      total: steps.length,
+      offset: start,
+      limit: limit || null,
+      retornados: page.length,
+      proximo_offset: more ? end : null,
+      proximo_cursor: more && page.length ? encodeCursor(page[page.length - 1]) : null
+    }
+  };
+}
+
+// Projeção: só os caminhos pedidos (ex.: cnj,status,movimentacoes.data,movimentacoes.conteudo)
+export function projectFields(value, fields) {
+  if (!fields?.length) return value;
+  const pick = (v, tree) => {
+    if (tree === true || v == null || typeof v !== 'object') return v;
+    if (Array.isArray(v)) return v.map((item) => pick(item, tree));
+    const out = {};
+    for (const [key, sub] of Object.entries(tree)) {
+      if (key in v) out[key] = pick(v[key], sub);
+    }
+    return out;
+  };
+  return pick(value, fieldTree(fields));
+}
+
+// Aspas quando preciso; texto que começa com = + - @ ganha um apóstrofo (não vira fórmula na planilha)
+function csvCell(value) {
+  const raw = value == null ? '' : String(value);
+  const text = /^[=+\-@]/.test(raw) ? `'${raw}` : raw;
+  return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Exporta body.movimentacoes (payload full) em streaming.
+ * CSV separado por ";" e com BOM, para abrir direto no Excel em português; NDJSON com uma movimentação por linha.
+ * fields: "movimentacoes.<campo>" limita as colunas
+ */
+export function sendExport(res, { body, format, fields = null, status = 200 }) {
+  const steps = Array.isArray(body?.movimentacoes) ? body.movimentacoes : [];
+  const columns = (fields || []).filter((f) => f.startsWith('movimentacoes.')).map((f) => f.slice('movimentacoes.'.length));
+  const cols = columns.length ? columns : EXPORT_COLUMNS;
+  const digits = String(body?.cnj || '').replace(/\D/g, '') || 'processo';
+
+  res.status(status);
+  res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="movimentacoes-${digits}.${format}"`);
+  res.setHeader('Cache-Control', 'no-store');
+  res.flushHeaders?.();
+
+  if (format === 'csv') {
+    res.write(`\uFEFF${['cnj', ...cols].join(';')}\r\n`);
+    for (const s of steps) res.write(`${[body.cnj, ...cols.map((c) => s?.[c])].map(csvCell).join(';')}\r\n`);
+  } else {
+    for (const s of steps) {
+      const row = Object.fromEntries(cols.filter((c) => c in (s || {})).map((c) => [c, s[c]]));
+      res.write(`${JSON.stringify({ cnj: body.cnj, ...row })}\n`);
+    }
+  }
+  return res.end();
+}
@@ -0,0 +1,288 @@
+// lib/mock.js
+// Modo mock (JUDIT_MOCK=1): lib/judit.js deixa de chamar a JUDIT e responde com fixtures, sem gastar créditos.
+// O cenário vem de cenario= na query ou do header X-Judit-Cenario (padrão: concluido):
+//   concluido       busca concluída na primeira consulta
+//   parcial         response parcial (request_status pending) até JUDIT_MOCK_DELAY_MS (padrão 3000), depois concluída
+//   nunca_conclui   fica pendente para sempre (timeout, job, grace period)
+//   nao_encontrado  a JUDIT conclui sem nenhuma response (404)
+//   limite          toda chamada responde 429 com Retry-After: 1
+//   instancias      1º e 2º grau, uma instância por página de responses
+//   segredo         processo em segredo de justiça (secrecy_level 2, sem partes nem movimentações)
+//   anexos          concluída com anexos: um pronto para download e outro ainda em coleta
+// Sem estado: o request_id do mock carrega cenário, horário de criação e a busca.
+
+export const MOCK_SCENARIOS = [
+  'concluido', 'parcial', 'nunca_conclui', 'nao_encontrado', 'limite', 'instancias', 'segredo', 'anexos'
+];
+const DEFAULT_SCENARIO = 'concluido';
+const DEFAULT_DELAY_MS = 3000;
+const MOCK_KEY_PREFIX = 'mock:';
+const MOCK_ID_PREFIX = 'mock_';
+const FIXTURE_CNJ = '0000000-00.2024.8.05.0001';
+
+export function mockEnabled() {
+  return process.env.JUDIT_MOCK === '1' || process.env.JUDIT_MOCK === 'true';
+}
+
+function delayMs() {
+  const v = parseInt(process.env.JUDIT_MOCK_DELAY_MS || '', 10);
+  return Number.isFinite(v) && v >= 0 ? v : DEFAULT_DELAY_MS;
+}
+
+// { cenario, error } — cenario null fora do modo mock
+export function readScenario(req, url) {
+  if (!mockEnabled()) return { cenario: null, error: null };
+  const raw = String(url.searchParams.get('cenario') || req.headers?.['x-judit-cenario'] || DEFAULT_SCENARIO)
+    .trim().toLowerCase();
+  if (!MOCK_SCENARIOS.includes(raw)) {
+    return { cenario: null, error: `Parâmetro "cenario" inválido. Use: ${MOCK_SCENARIOS.join(', ')}.` };
+  }
+  return { cenario: raw, error: null };
+}
+
+// Tenant do modo mock: cache, buscas em andamento e livro de uso separados por cenário;
+// a api-key enviada ao mock identifica o cenário
+export function mockTenant(tenant, cenario) {
+  return { ...tenant, id: `${tenant.id}@mock-${cenario}`, apiKey: `${MOCK_KEY_PREFIX}${cenario}`, cenario };
+}
+
+function encodeRequestId(data) {
+  return `${MOCK_ID_PREFIX}${Buffer.from(JSON.stringify(data)).toString('base64url')}`;
+}
+
+function decodeRequestId(requestId) {
+  if (!String(requestId || '').startsWith(MOCK_ID_PREFIX)) return null;
+  try {
+    return JSON.parse(Buffer.from(requestId.slice(MOCK_ID_PREFIX.length), 'base64url').toString('utf8'));
+  } catch (_) {
+    return null;
+  }
+}
+
+// ————————————————————————————————————————————————————————————————
+// Fixtures
+
+function fixtureLawsuit(cnj, { instance = 1, partial = false } = {}) {
+  const steps = [
+    { step_id: `${instance}-1`, step_date: '2024-02-05T10:00:00Z', content: 'Distribuído por sorteio' },
+    { step_id: `${instance}-2`, step_date: '2024-02-20T14:00:00Z', content: 'Citação da parte ré, por meio eletrônico' },
+    {
+      step_id: `${instance}-3`, step_date: '2024-04-02T09:30:00Z',
+      content: 'Audiência de conciliação designada para 15/05/2024 às 14:00, por videoconferência: https://meet.example.com/abc-defg'
+    },
+    {
+      step_id: `${instance}-4`, step_date: '2024-06-10T16:00:00Z',
+      content: 'Intimação da parte autora para manifestação sobre a contestação no prazo de 15 (quinze) dias úteis'
+    },
+    { step_id: `${instance}-5`, step_date: '2024-08-01T11:00:00Z', content: 'Julgado procedente o pedido. Sentença registrada.' }
+  ];
+  return {
+    code: cnj,
+    name: 'MARIA DA SILVA X BANCO EXEMPLO S.A.',
+    tribunal_acronym: 'TJBA',
+    instance,
+    state: 'BA',
+    county: 'Salvador',
+    city: 'Salvador',
+    status: 'Ativo',
+    phase: instance === 2 ? 'Recursal' : 'Conhecimento',
+    situation: 'Em andamento',
+    distribution_date: '2024-02-05T10:00:00Z',
+    amount: 15000,
+    secrecy_level: 0,
+    justice_description: 'Justiça Estadual',
+    judge: instance === 2 ? 'Des. Relator Exemplo' : 'Juiz Exemplo',
+    courts: [{ name: instance === 2 ? '3ª Câmara Cível' : '5ª Vara Cível de Salvador' }],
+    classifications: [{ name: instance === 2 ? 'Apelação Cível' : 'Procedimento Comum Cível' }],
+    subjects: [{ name: 'Indenização por Dano Moral' }],
+    parties: [
+      {
+        name: 'MARIA DA SILVA', side: 'Active', person_type: 'Física', main_document: '52998224725',
+        documents: [{ document: '52998224725', document_type: 'CPF' }],
+        lawyers: [{ name: 'ADVOGADA EXEMPLO', documents: [{ document: 'BA12345', document_type: 'OAB' }] }]
+      },
+      {
+        name: 'BANCO EXEMPLO S.A.', side: 'Passive', person_type: 'Jurídica', main_document: '11222333000181',
+        documents: [{ document: '11222333000181', document_type: 'CNPJ' }],
+        lawyers: [{ name: 'ADVOGADO EXEMPLO', documents: [{ document: 'SP98765', document_type: 'OAB' }] }]
+      }
+    ],
+    steps: instance === 2
+      ? [
+          { step_id: '2-1', step_date: '2024-09-02T10:00:00Z', content: 'Recebido o recurso de apelação' },
+          { step_id: '2-2', step_date: '2024-10-15T15:00:00Z', content: 'Conclusos para decisão ao relator' }
+        ]
+      : partial ? steps.slice(0, 2) : steps,
+    attachments: []
+  };
+}
+
+function secretLawsuit(cnj) {
+  return { ...fixtureLawsuit(cnj), secrecy_level: 2, parties: [], steps: [], subjects: [], amount: null };
+}
+
+function attachmentsLawsuit(cnj) {
+  return {
+    ...fixtureLawsuit(cnj),
+    attachments: [
+      { attachment_id: 'mock-anexo-1', attachment_date: '2024-02-05T10:00:00Z', attachment_name: 'Petição inicial', extension: 'pdf', status: 'done' },
+      { attachment_id: 'mock-anexo-2', attachment_date: '2024-08-01T11:00:00Z', attachment_name: 'Sentença', extension: 'pdf', status: 'pending' }
+    ]
+  };
+}
+
+function responseItem(requestId, lawsuit, { requestStatus = 'completed', index = 0 } = {}) {
+  return {
+    request_id: requestId,
+    response_id: `${requestId.slice(-12)}-${index}`,
+    response_type: 'lawsuit',
+    request_status: requestStatus,
+    tags: { cached_response: false },
+    created_at: new Date().toISOString(),
+    response_data: lawsuit
+  };
+}
+
+// Busca por cpf/cnpj/oab/nome: dois processos da fixture
+function searchResults(requestId) {
+  return [
+    responseItem(requestId, fixtureLawsuit(FIXTURE_CNJ), { index: 0 }),
+    responseItem(requestId, { ...fixtureLawsuit('0000001-00.2023.8.05.0001'), status: 'Arquivado' }, { index: 1 })
+  ];
+}
+
+// ————————————————————————————————————————————————————————————————
+// Rotas da JUDIT simuladas (mesmo contrato de fetch: devolve uma Response)
+
+function json(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json', ...headers } });
+}
+
+function page(items, { requestStatus, page: n = 1, pageSize = items.length || 1 }) {
+  const pageCount = Math.max(1, Math.ceil(items.length / pageSize));
+  return json({
+    request_status: requestStatus,
+    page: n,
+    page_count: pageCount,
+    all_pages_count: pageCount,
+    all_count: items.length,
+    page_data: items.slice((n - 1) * pageSize, n * pageSize)
+  });
+}
+
+// Situação da busca agora: { requestStatus, items, pageSize }
+function requestState(req) {
+  const byCnj = req.search_type === 'lawsuit_cnj';
+  const cnj = byCnj ? req.search_key : FIXTURE_CNJ;
+  const elapsed = Date.now() - req.created_at;
+  const id = req.id;
+  switch (req.cenario) {
+    case 'nunca_conclui':
+      return { requestStatus: 'pending', items: [] };
+    case 'nao_encontrado':
+      return { requestStatus: 'completed', items: [] };
+    case 'parcial':
+      return elapsed < delayMs()
+        ? { requestStatus: 'pending', items: [responseItem(id, fixtureLawsuit(cnj, { partial: true }), { requestStatus: 'pending' })] }
+        : { requestStatus: 'completed', items: [responseItem(id, fixtureLawsuit(cnj))] };
+    case 'instancias':
+      // uma instância por página, para exercitar a paginação
+      return {
+        requestStatus: 'completed',
+        pageSize: 1,
+        items: [responseItem(id, fixtureLawsuit(cnj, { instance: 1 })), responseItem(id, fixtureLawsuit(cnj, { instance: 2 }), { index: 1 })]
+      };
+    case 'segredo':
+      return { requestStatus: 'completed', items: [responseItem(id, secretLawsuit(cnj))] };
+    case 'anexos':
+      return { requestStatus: 'completed', items: [responseItem(id, attachmentsLawsuit(cnj))] };
+    default:
+      return { requestStatus: 'completed', items: byCnj ? [responseItem(id, fixtureLawsuit(cnj))] : searchResults(id) };
+  }
+}
+
+function notFound(message) {
+  return json({ message }, 404);
+}
+
+function mockRequest(requestId) {
+  const data = decodeRequestId(requestId);
+  return data ? { ...data, id: requestId } : null;
+}
+
+function downloadAttachment(attachmentId) {
+  if (attachmentId === 'mock-anexo-2') return json({ message: 'attachment still pending collection' }, 409);
+  if (attachmentId !== 'mock-anexo-1') return notFound('attachment not found');
+  const pdf = '%PDF-1.4\n1 0 obj << /Type /Catalog >> endobj\ntrailer << /Root 1 0 R >>\n%%EOF\n';
+  return new Response(pdf, { status: 200, headers: { 'content-type': 'application/pdf', 'content-length': String(pdf.length) } });
+}
+
+function trackingFixture(trackingId, status = 'created') {
+  return {
+    tracking_id: trackingId, status, recurrence: 1, with_attachments: false,
+    search: { search_type: 'lawsuit_cnj', search_key: FIXTURE_CNJ, response_type: 'lawsuit' },
+    created_at: '2024-01-01T00:00:00Z', updated_at: new Date().toISOString()
+  };
+}
+
+function routeTracking(method, path) {
+  const [, trackingId, action] = path.match(/^\/tracking(?:\/([^/]+))?(?:\/(pause|resume))?$/) || [];
+  if (method === 'POST' && !trackingId) return json(trackingFixture(`mock_tracking_${Date.now()}`));
+  if (method === 'GET' && !trackingId) return json({ page: 1, page_count: 1, all_count: 0, page_data: [] });
+  if (method === 'DELETE') return json({});
+  if (action) return json(trackingFixture(decodeURIComponent(trackingId), action === 'pause' ? 'paused' : 'updated'));
+  return json(trackingFixture(decodeURIComponent(trackingId)));
+}
+
+/**
+ * fetch simulado para as URLs da JUDIT (requests, responses, tracking e anexos).
+ * O cenário vem da api-key ("mock:<cenario>", lib/mock.js#mockTenant) na criação e do request_id depois.
+ */
+export async function mockFetch(url, { method = 'GET', headers = {}, body } = {}) {
+  const u = new URL(url);
+  const path = u.pathname.replace(/\/+$/, '');
+  const keyScenario = String(headers['api-key'] || '').startsWith(MOCK_KEY_PREFIX)
+    ? String(headers['api-key']).slice(MOCK_KEY_PREFIX.length)
+    : DEFAULT_SCENARIO;
+  const cenario = MOCK_SCENARIOS.includes(keyScenario) ? keyScenario : DEFAULT_SCENARIO;
+  if (cenario === 'limite') return json({ message: 'Too many requests' }, 429, { 'retry-after': '1' });
+
+  if (method === 'POST' && path === '/requests') {
+    const search = JSON.parse(body || '{}')?.search || {};
+    const requestId = encodeRequestId({
+      cenario, created_at: Date.now(), search_type: search.search_type || 'lawsuit_cnj', search_key: search.search_key || null
+    });
+    return json({ request_id: requestId, status: 'pending', search, created_at: new Date().toISOString() }, 201);
+  }
+
+  const requestMatch = path.match(/^\/requests\/([^/]+)$/);
+  if (requestMatch) {
+    const req = mockRequest(decodeURIComponent(requestMatch[1]));
+    if (!req) return notFound('request not found');
+    return json({ request_id: req.id, status: requestState(req).requestStatus, search: { search_type: req.search_type, search_key: req.search_key } });
+  }
+
+  const trackingResponses = path.match(/^\/responses\/tracking\/([^/]+)$/);
+  if (trackingResponses) {
+    const id = decodeURIComponent(trackingResponses[1]);
+    return page([responseItem(id, fixtureLawsuit(FIXTURE_CNJ))], { requestStatus: 'completed' });
+  }
+
+  if (path === '/responses') {
+    const req = mockRequest(u.searchParams.get('request_id'));
+    if (!req) return notFound('request not found');
+    const state = requestState(req);
+    return page(state.items, {
+      requestStatus: state.requestStatus,
+      page: Math.max(1, parseInt(u.searchParams.get('page') || '1', 10) || 1),
+      pageSize: state.pageSize || parseInt(u.searchParams.get('page_size') || '100', 10) || 100
+    });
+  }
+
+  if (path.startsWith('/tracking')) return routeTracking(method, path);
+
+  const attachment = path.match(/^\/lawsuits\/[^/]+\/[^/]+\/attachments\/([^/]+)$/);
+  if (attachment) return downloadAttachment(decodeURIComponent(attachment[1]));
+
+  return notFound(`rota não simulada no modo mock: ${method} ${path}`);
+}
@@ -0,0 +1,271 @@
+// lib/observability.js
+// Observabilidade do proxy:
+//   - id de correlação por chamada no header X-Request-Id (reaproveita o X-Request-Id enviado pelo cliente)
+//   - uma linha de log JSON por chamada: rota, status, código, duração, request_id da JUDIT, attempts,
+//     waited_ms e os status HTTP devolvidos pela JUDIT (inclusive as falhas que o polling absorve); o CNJ vai em hash
+//   - métricas em memória: latência por rota (histograma), desfechos, códigos e respostas da JUDIT (/api/judit/health)
+// As métricas são do processo: cada instância da função tem as suas e elas zeram a cada cold start.
+// PROXY_LOG=0 desliga os logs; PROXY_LOG_SALT (ou PROXY_LGPD_SALT) entra no HMAC do CNJ (sem elas, chave aleatória por processo).
+
+import { createHmac, randomBytes, randomUUID } from 'node:crypto';
+
+// Limites superiores dos buckets de latência (ms); o último bucket pega o que passar de 60 s
+const LATENCY_BUCKETS_MS = [50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000, 60000];
+// Desfechos do polling (lib/respond.js) usados nas taxas
+const POLL_OUTCOMES = ['completed', 'partial', 'timeout', 'not_found', 'error'];
+const REQUEST_ID_RE = /^[\w.:-]{1,128}$/;
+const HASH_CHARS = 16;
+const MAX_ERROR_TEXT = 300;
+
+const startedAt = Date.now();
+const contexts = new WeakMap();
+// Sem salt configurado: chave aleatória do processo (o espaço de CNJs é pequeno; HMAC sem chave seria reversível)
+const processLogKey = randomBytes(32);
+
+function newHistogram() {
+  return { counts: new Array(LATENCY_BUCKETS_MS.length + 1).fill(0), total: 0, sum: 0, max: 0 };
+}
+
+const metrics = {
+  chamadas: 0,
+  rotas: {},
+  upstream: { chamadas: 0, erros: 0, status: {}, latencia: newHistogram() }
+};
+
+function logEnabled() {
+  return process.env.PROXY_LOG !== '0' && process.env.PROXY_LOG !== 'false';
+}
+
+function increment(map, key, amount = 1) {
+  map[key] = (map[key] || 0) + amount;
+}
+
+function observeLatency(histogram, ms) {
+  const i = LATENCY_BUCKETS_MS.findIndex((limit) => ms <= limit);
+  histogram.counts[i < 0 ? LATENCY_BUCKETS_MS.length : i] += 1;
+  histogram.total += 1;
+  histogram.sum += ms;
+  histogram.max = Math.max(histogram.max, ms);
+}
+
+// Percentil estimado pelo limite superior do bucket
+function percentile(histogram, p) {
+  if (!histogram.total) return null;
+  const target = Math.ceil(histogram.total * p);
+  let seen = 0;
+  for (let i = 0; i < histogram.counts.length; i += 1) {
+    seen += histogram.counts[i];
+    if (seen >= target) return LATENCY_BUCKETS_MS[i] ?? histogram.max;
+  }
+  return histogram.max;
+}
+
+function histogramView(histogram) {
+  return {
+    total: histogram.total,
+    media_ms: histogram.total ? Math.round(histogram.sum / histogram.total) : null,
+    max_ms: histogram.total ? histogram.max : null,
+    p50_ms: percentile(histogram, 0.5),
+    p95_ms: percentile(histogram, 0.95),
+    p99_ms: percentile(histogram, 0.99),
+    buckets: histogram.counts.map((chamadas, i) => ({ ate_ms: LATENCY_BUCKETS_MS[i] ?? null, chamadas }))
+  };
+}
+
+// CNJ em HMAC (só dígitos): correlaciona chamadas do mesmo processo sem expor o número nos logs
+export function hashCnj(cnj) {
+  const digits = String(cnj || '').replace(/\D/g, '');
+  if (!digits) return null;
+  const salt = process.env.PROXY_LOG_SALT || process.env.PROXY_LGPD_SALT || processLogKey;
+  return createHmac('sha256', salt).update(digits).digest('hex').slice(0, HASH_CHARS);
+}
+
+function errorView(err) {
+  if (!err) return null;
+  const detail = err.detail || null;
+  return {
+    message: err.message || String(err),
+    status: detail?.status ?? err.status ?? null,
+    text: detail?.text ? String(detail.text).slice(0, MAX_ERROR_TEXT) : null
+  };
+}
+
+/**
+ * Acrescenta campos ao log da chamada em andamento (trace, lote...). Sem contexto (fora de observe) não faz nada.
+ */
+export function annotate(res, fields) {
+  const ctx = contexts.get(res);
+  if (ctx) Object.assign(ctx, fields);
+}
+
+// Erro capturado pelo handler: vai para o log mesmo quando a resposta segue o contrato (chaves com null)
+export function noteError(res, err) {
+  annotate(res, { error: err });
+}
+
+// Resultado de um polling respondido na chamada (lib/respond.js e lib/sse.js)
+export function notePoll(res, { cnj = null, requestId = null, poll, outcome }) {
+  const ctx = contexts.get(res);
+  if (!ctx) return;
+  if (cnj) ctx.cnj = cnj;
+  ctx.polls.push({
+    request_id: requestId,
+    attempts: poll?.attempts ?? null,
+    waited_ms: poll?.waited_ms ?? null,
+    cached: !!poll?.cache?.hit,
+    outcome,
+    trace: poll?.trace || null
+  });
+}
+
+// Uma chamada à JUDIT (lib/judit.js): status HTTP, 'rede', 'timeout' ou 'circuito_aberto'
+export function recordUpstream({ status = null, ms = null, networkError = false, timedOut = false, circuitOpen = false }) {
+  const key = circuitOpen ? 'circuito_aberto' : status ?? (timedOut ? 'timeout' : networkError ? 'rede' : 'desconhecido');
+  metrics.upstream.chamadas += 1;
+  increment(metrics.upstream.status, String(key));
+  if (!(status >= 200 && status < 400)) metrics.upstream.erros += 1;
+  if (ms != null) observeLatency(metrics.upstream.latencia, ms);
+}
+
+// Chamada sem polling respondido: erro capturado ou 5xx, recusa (4xx) ou ok
+function fallbackOutcome(ctx, status) {
+  if (ctx.error || status >= 500) return 'error';
+  if (status >= 400) return 'rejected';
+  return 'ok';
+}
+
+function recordCall(ctx, { status, codigo, durationMs, outcomes }) {
+  const route = (metrics.rotas[ctx.route] ||= { chamadas: 0, latencia: newHistogram(), desfechos: {}, codigos: {}, status_http: {} });
+  metrics.chamadas += 1;
+  route.chamadas += 1;
+  observeLatency(route.latencia, durationMs);
+  for (const [outcome, count] of Object.entries(outcomes)) increment(route.desfechos, outcome, count);
+  if (codigo) increment(route.codigos, codigo);
+  increment(route.status_http, String(status));
+}
+
+function upstreamView(trace) {
+  if (!trace) return null;
+  return {
+    calls: trace.calls,
+    retries: trace.retries,
+    status_codes: trace.statuses || [],
+    errors: trace.errors.map(({ op, status, message }) => ({ op, status, message }))
+  };
+}
+
+function writeLog(ctx, { status, codigo, durationMs, outcome }) {
+  if (!logEnabled()) return;
+  const poll = ctx.polls[ctx.polls.length - 1] || null;
+  const error = errorView(ctx.error);
+  const level = error || status >= 500 ? 'error' : status >= 400 || outcome === 'timeout' ? 'warn' : 'info';
+  const entry = {
+    ts: new Date().toISOString(),
+    level,
+    event: 'proxy_call',
+    id: ctx.id,
+    route: ctx.route,
+    method: ctx.method,
+    status,
+    codigo: codigo || null,
+    duration_ms: durationMs,
+    client: ctx.client || null,
+    tenant: ctx.tenant || null,
+    cnj_hash: hashCnj(ctx.cnj),
+    request_id: poll?.request_id ?? null,
+    outcome,
+    attempts: poll?.attempts ?? null,
+    waited_ms: poll?.waited_ms ?? null,
+    cached: poll ? poll.cached : null,
+    upstream: upstreamView(poll?.trace || ctx.trace),
+    ...(ctx.lote ? { lote: ctx.lote } : {}),
+    error
+  };
+  (level === 'error' ? console.error : console.log)(JSON.stringify(entry));
+}
+
+function finishCall(ctx, res) {
+  const durationMs = Date.now() - ctx.start;
+  const status = res.statusCode || 200;
+  // no SSE o código vai no evento final (os headers já saíram): lib/sse.js anota em ctx.codigo
+  const codigo = res.getHeader?.('X-Proxy-Codigo') || ctx.codigo || null;
+
+  // Desfechos: um por polling respondido, o resumo do lote ou o status HTTP
+  const outcomes = {};
+  if (ctx.polls.length) ctx.polls.forEach((p) => increment(outcomes, p.outcome));
+  else if (ctx.lote?.resumo) Object.entries(ctx.lote.resumo).forEach(([k, v]) => v && increment(outcomes, k, v));
+  else increment(outcomes, fallbackOutcome(ctx, status));
+  const outcome = ctx.polls[ctx.polls.length - 1]?.outcome || (ctx.lote ? 'batch' : fallbackOutcome(ctx, status));
+
+  recordCall(ctx, { status, codigo, durationMs, outcomes });
+  writeLog(ctx, { status, codigo, durationMs, outcome });
+}
+
+/**
+ * Envolve o handler de uma rota: define o X-Request-Id, mede a chamada e grava log e métricas no fim,
+ * inclusive quando o handler lança (o erro é registrado e relançado para a Vercel).
+ * route: o mesmo nome usado em authorizeRequest (lib/auth.js)
+ */
+export function observe(route, handler) {
+  return async function observed(req, res) {
+    const incoming = String(req.headers?.['x-request-id'] || '').trim();
+    const ctx = {
+      id: REQUEST_ID_RE.test(incoming) ? incoming : randomUUID(),
+      route,
+      method: req.method || 'GET',
+      start: Date.now(),
+      cnj: req.query?.cnj || null,
+      polls: [],
+      trace: null,
+      codigo: null,
+      error: null
+    };
+    if (!ctx.cnj) {
+      try {
+        ctx.cnj = new URL(req.url, 'http://localhost').searchParams.get('cnj');
+      } catch (_) {
+        ctx.cnj = null;
+      }
+    }
+    contexts.set(res, ctx);
+    res.setHeader('X-Request-Id', ctx.id);
+
+    try {
+      return await handler(req, res);
+    } catch (err) {
+      ctx.error = err;
+      throw err;
+    } finally {
+      finishCall(ctx, res);
+    }
+  };
+}
+
+// Métricas do processo para /api/judit/health
+export function metricsSnapshot() {
+  const rotas = {};
+  for (const [name, route] of Object.entries(metrics.rotas)) {
+    const polled = POLL_OUTCOMES.reduce((sum, o) => sum + (route.desfechos[o] || 0), 0);
+    const rate = (o) => (polled ? Number(((route.desfechos[o] || 0) / polled).toFixed(4)) : null);
+    rotas[name] = {
+      chamadas: route.chamadas,
+      latencia: histogramView(route.latencia),
+      desfechos: { ...route.desfechos },
+      taxas: { completed: rate('completed'), partial: rate('partial'), timeout: rate('timeout') },
+      codigos: { ...route.codigos },
+      status_http: { ...route.status_http }
+    };
+  }
+  return {
+    desde: new Date(startedAt).toISOString(),
+    uptime_s: Math.floor((Date.now() - startedAt) / 1000),
+    chamadas: metrics.chamadas,
+    rotas,
+    upstream: {
+      chamadas: metrics.upstream.chamadas,
+      erros: metrics.upstream.erros,
+      status: { ...metrics.upstream.status },
+      latencia: histogramView(metrics.upstream.latencia)
+    }
+  };
+}
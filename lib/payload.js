@@ -0,0 +1,335 @@
+// lib/payload.js
+// Mapeamento da resposta da JUDIT para os formatos do proxy (mínimo e completo)
+
+import { attachmentUrl } from './attachments.js';
+import { classifyMovement, filterSteps, hasMovementFilters, lastRelevantStep } from './classifier.js';
+import { describeCnj, parseCnj } from './cnj.js';
+import { detectDeadlines } from './deadlines.js';
+import { extractHearings } from './hearings.js';
+import { incrementalFields, isIncremental } from './incremental.js';
+import { filterListing, hasListingFilters, paginate } from './listing.js';
+import { buildSummary } from './summary.js';
+import { describeTribunal } from './tribunais.js';
+
+// ————————————————————————————————————————————————————————————————
+// Blocos compartilhados entre os formatos
+
+// Steps (movimentações) — ordenado DESC por data
+export function sortedSteps(lawsuit) {
+  const rd = lawsuit?.response_data || lawsuit || {};
+  const steps = Array.isArray(lawsuit?.steps)
+    ? [...lawsuit.steps]
+    : Array.isArray(rd?.steps)
+    ? [...rd.steps]
+    : [];
+  steps.sort((a, b) => new Date(b.step_date) - new Date(a.step_date));
+  return steps;
+}
+
+// fonte (tribunal + grau) pelo catálogo de tribunais (lib/tribunais.js); cnj/orgao completam o que faltar
+export function formatFonte(tribunal, instanciaRaw, { cnj = null, orgao = null } = {}) {
+  return describeTribunal({ tribunal, instancia: instanciaRaw, orgao, cnj }).fonte || 'Fonte não informada';
+}
+
+// Nome do órgão julgador (vara, câmara, turma...)
+function courtName(rd) {
+  return (Array.isArray(rd?.courts) && rd.courts[0]?.name) || rd?.court || null;
+}
+
+// Movimentação no formato do proxy (tipo/relevante: lib/classifier.js)
+export function mapStep(s) {
+  const { tipo, relevante } = classifyMovement(s.content);
+  return {
+    id: s.step_id || null,
+    data: s.step_date || null,
+    tipo,
+    relevante,
+    conteudo: s.content || null,
+    private: !!s.private
+  };
+}
+
+// Partes (com advogados)
+export function mapParties(partiesArr) {
+  return (Array.isArray(partiesArr) ? partiesArr : []).map((p) => ({
+    nome: p?.name || null,
+    polo: p?.side || null,
+    tipo: p?.person_type || null,
+    documento: p?.main_document || null,
+    documentos: Array.isArray(p?.documents)
+      ? p.documents.map((d) => (typeof d === 'string' ? d : d?.document || null)).filter(Boolean)
+      : [],
+    advogados: Array.isArray(p?.lawyers)
+      ? p.lawyers.map((l) => ({
+          nome: l?.name || null,
+          oab:
+            l?.oab ||
+            (Array.isArray(l?.documents)
+              ? (l.documents.find((doc) =>
+                  String(doc?.document_type || '').toLowerCase().includes('oab')
+                )?.document || null)
+              : null)
+        }))
+      : []
+  }));
+}
+
+// Processo (capa + localização + metadados)
+export function mapProcesso(lawsuit, { cnj = null } = {}) {
+  const rd = lawsuit?.response_data || lawsuit || {};
+  const tribunal = rd?.tribunal_acronym || lawsuit?.tribunal_acronym || null;
+  const instanciaRaw = rd?.instance || lawsuit?.instance || null;
+  const orgao = courtName(rd);
+  // tribunal, instância e UF completados pelo número CNJ quando a JUDIT não informa
+  const catalogo = describeTribunal({ tribunal, instancia: instanciaRaw, orgao, cnj: cnj || rd?.code });
+  return {
+    codigo: rd?.code || cnj || null,
+    classe: Array.isArray(rd?.classifications)
+      ? rd.classifications.map((c) => c?.name || c).filter(Boolean)
+      : rd?.classifications || null,
+    assuntos: Array.isArray(rd?.subjects)
+      ? rd.subjects.map((s) => s?.name || s).filter(Boolean)
+      : rd?.subjects || null,
+    orgao,
+    juiz: rd?.judge || null,
+    tipo_justica: rd?.justice_description || null,
+    instancia: catalogo.instancia,
+    instancia_judit: instanciaRaw || null,
+    comarca: rd?.county || null,
+    cidade: rd?.city || null,
+    uf: rd?.state || catalogo.uf,
+    tribunal: catalogo.sigla,
+    tribunal_nome: catalogo.nome,
+    ramo: catalogo.ramo,
+    fase: rd?.phase || null,
+    situacao: rd?.situation || null,
+    distribuicao: rd?.distribution_date || null,
+    valor_causa: rd?.amount || null,
+    sigilo: (rd?.secrecy_level ?? null),
+    cnj_decodificado: describeCnj(parseCnj(cnj || rd?.code))
+  };
+}
+
+// ————————————————————————————————————————————————————————————————
+// Mapeia a resposta da JUDIT para o JSON ENXUTO solicitado
+// Só devolvemos: cnj, fonte, status, processo.fase, ultima_movimentacao.conteudo, ultima_movimentacao_data
+// (+ has_updates / novas_movimentacoes quando pedido o modo incremental: since / afterStepId)
+// ultimaRelevante: "última movimentação" passa a ser a última relevante (lib/classifier.js), não o último step
+// formato: acrescenta "resumo" (lib/summary.js) no formato pedido
+export function buildMinimalPayload(
+  { cnj, lawsuit },
+  { since = null, afterStepId = null, ultimaRelevante = false, formato = null } = {}
+) {
+  const rd = lawsuit?.response_data || lawsuit || {};
+
+  // steps ordenados desc por data
+  const steps = sortedSteps(lawsuit);
+  const last = ultimaRelevante ? lastRelevantStep(steps) : steps[0] || null;
+
+  // status e fonte (tribunal + grau)
+  const status = rd?.status || (steps.length ? 'ANDAMENTO' : 'DESCONHECIDO');
+  const tribunal = rd?.tribunal_acronym || lawsuit?.tribunal_acronym || null;
+  const instanciaRaw = rd?.instance || lawsuit?.instance || null;
+
+  // fase do processo
+  const fase = rd?.phase || null;
+
+  // objeto final enxuto
+  const payload = {
+    cnj: cnj || null,
+    fonte: formatFonte(tribunal, instanciaRaw, { cnj, orgao: courtName(rd) }),
+    status: status || null,
+    processo: { fase: fase },
+    ultima_movimentacao: {
+      conteudo: last?.content || null
+    },
+    ultima_movimentacao_data: last?.step_date || null,
+    ...(isIncremental({ since, afterStepId }) ? incrementalFields(steps, { since, afterStepId }).fields : {})
+  };
+  if (formato) {
+    payload.resumo = buildSummary({
+      cnj, fonte: payload.fonte, status: payload.status, fase,
+      ultima: last ? { conteudo: last.content, data: last.step_date } : null,
+      partes: mapParties(rd?.parties)
+    }, formato);
+  }
+  return payload;
+}
+
+// Mesmas chaves do JSON enxuto, com nulls (sem dados / erro)
+export function emptyMinimalPayload(cnj = null) {
+  return {
+    cnj: cnj || null,
+    fonte: 'Fonte não informada',
+    status: null,
+    processo: { fase: null },
+    ultima_movimentacao: { conteudo: null },
+    ultima_movimentacao_data: null
+  };
+}
+// ————————————————————————————————————————————————————————————————
+
+// --- Mapeia o objeto da JUDIT para nosso formato completo ---
+// instances: grupos de lib/instances.js (quando a JUDIT devolve mais de uma instância/tribunal)
+// baseUrl: origem pública do proxy para o link de download de cada anexo
+// tipos / relevantes: filtros de movimentações (lib/classifier.js), aplicados depois do incremental
+// de / ate / q e limit / offset / cursor: período, busca e paginação de movimentacoes (lib/listing.js)
+// formato: template do "resumo" (texto, markdown ou whatsapp — lib/summary.js)
+export function buildFullPayload(
+  { cnj, lawsuit, error, meta },
+  {
+    includeAttachments = false, since = null, afterStepId = null, instances = null, baseUrl,
+    tipos = null, relevantes = false, formato = 'texto',
+    de = null, ate = null, q = null, limit = null, offset = 0, cursor = null
+  } = {}
+) {
+  const rd = lawsuit?.response_data || lawsuit || {};
+
+  // Steps (movimentações) — ordenado DESC
+  const steps = sortedSteps(lawsuit);
+  const last = steps[0] || null;
+  const lastRelevant = lastRelevantStep(steps);
+
+  // Modo incremental: movimentacoes traz só os steps novos
+  const incremental = isIncremental({ since, afterStepId }) ? incrementalFields(steps, { since, afterStepId }) : null;
+  const matched = filterListing(filterSteps(incremental ? incremental.steps : steps, { tipos, relevantes }), { de, ate, q });
+  const page = paginate(matched, { limit, offset, cursor });
+  const listedSteps = page.steps;
+  // Com paginação, instâncias, prazos e audiências ficam na mesma janela de movimentacoes
+  const pageWindow = page.info ? new Set(listedSteps) : null;
+  const pageIds = pageWindow ? new Set(listedSteps.map((s) => s?.step_id).filter(Boolean)) : null;
+  const filtered = hasMovementFilters({ tipos, relevantes }) || hasListingFilters({ de, ate, q });
+
+  // Status/capa/localização
+  const status = rd?.status || (steps.length ? 'ANDAMENTO' : 'DESCONHECIDO');
+  const tribunal = rd?.tribunal_acronym || lawsuit?.tribunal_acronym || null;
+  const instanciaRaw = rd?.instance || lawsuit?.instance || null;
+
+  // Partes
+  const partiesArr = Array.isArray(rd?.parties)
+    ? rd.parties
+    : Array.isArray(lawsuit?.parties)
+    ? lawsuit.parties
+    : [];
+  const partes = mapParties(partiesArr);
+
+  // Processo (capa + localização + metadados)
+  const processo = mapProcesso(lawsuit, { cnj });
+  const fonte = lawsuit ? formatFonte(tribunal, instanciaRaw, { cnj, orgao: processo.orgao }) : 'Fonte não informada';
+
+  // Instâncias (1º/2º grau, superiores) — cada uma com seus próprios steps
+  const instanceLawsuits = Array.isArray(instances) && instances.length
+    ? instances.map((g) => g.lawsuit)
+    : lawsuit ? [lawsuit] : [];
+
+  // Anexos (opcional)
+  const attachmentsArr = includeAttachments && Array.isArray(rd?.attachments) ? rd.attachments : [];
+  const anexos = attachmentsArr.map((a) => ({
+    id: a?.attachment_id || null,
+    data: a?.attachment_date || null,
+    nome: a?.attachment_name || null,
+    extensao: a?.extension || null,
+    status: a?.status || null,
+    instancia: a?.instance ?? instanciaRaw,
+    url: attachmentUrl({
+      cnj: cnj || rd?.code, attachmentId: a?.attachment_id, instance: a?.instance ?? instanciaRaw, baseUrl
+    })
+  }));
+
+  return {
+    ok: !error,
+    cnj,
+    fonte,
+    status,
+    ultima_movimentacao_data: last?.step_date || null,
+    texto: last?.content || null,
+    resumo: buildSummary({
+      cnj, fonte: lawsuit ? fonte : null, status: lawsuit ? status : null, fase: rd?.phase || null,
+      ultima: last ? { conteudo: last.content, data: last.step_date } : null,
+      partes, mensagem: error?.message || meta?.message
+    }, formato || 'texto'),
+    ultima_movimentacao: last ? mapStep(last) : null,
+    ultima_movimentacao_relevante: lastRelevant ? mapStep(lastRelevant) : null,
+    ...(incremental ? incremental.fields : {}),
+    movimentacoes: listedSteps.map(mapStep),
+    // Prazos estimados das citações/intimações/publicações (lib/deadlines.js), ligados ao step_id
+    prazos: detectDeadlines(pageWindow ? listedSteps : steps, { uf: processo.uf, tribunal: processo.tribunal }),
+    // Audiências (data, hora, tipo, modalidade/link, situação) lidas do texto das movimentações;
+    // extraídas de todos os steps (a redesignação liga movimentações diferentes) e depois recortadas pela página
+    audiencias: pageIds
+      ? extractHearings(steps).filter((h) => pageIds.has(h.step_id))
+      : extractHearings(steps),
+    instancias: instanceLawsuits.map((l) => buildInstancia(l, { since, afterStepId, tipos, relevantes, de, ate, q, pageWindow })),
+    processo,
+    partes,
+    anexos,
+    meta: {
+      request_status: meta?.request_status || null,
+      is_partial: !!meta?.is_partial,
+      cached_response: !!meta?.cached_response,
+      proxy_cache: meta?.proxy_cache || undefined,
+      waited_ms: meta?.waited_ms || 0,
+      attempts: meta?.attempts || 0,
+      upstream: meta?.upstream || undefined,
+      job: meta?.job || undefined,
+      incremental: incremental ? incremental.criteria : undefined,
+      filtros: filtered ? { tipos: tipos || null, relevantes: !!relevantes, de, ate, q } : undefined,
+      paginacao: page.info || undefined,
+      lgpd: meta?.lgpd || undefined,
+      message: meta?.message || undefined
+    },
+    erro: error
+      ? {
+          codigo: error.codigo || null,
+          message: error.message || 'Erro desconhecido no proxy',
+          detail: error.detail || null
+        }
+      : null
+  };
+}
+
+// Uma instância do processo: fonte, status, fase e steps próprios
+// pageWindow: steps da página de movimentacoes (Set); a instância só lista os seus que estão nela
+export function buildInstancia(
+  lawsuit,
+  { since = null, afterStepId = null, tipos = null, relevantes = false, de = null, ate = null, q = null, pageWindow = null } = {}
+) {
+  const rd = lawsuit?.response_data || lawsuit || {};
+  const all = sortedSteps(lawsuit);
+  const newer = isIncremental({ since, afterStepId }) ? incrementalFields(all, { since, afterStepId }).steps : all;
+  const matched = filterListing(filterSteps(newer, { tipos, relevantes }), { de, ate, q });
+  const steps = pageWindow ? matched.filter((s) => pageWindow.has(s)) : matched;
+  const instanciaRaw = rd?.instance || null;
+  const orgao = courtName(rd);
+  const catalogo = describeTribunal({ tribunal: rd?.tribunal_acronym || null, instancia: instanciaRaw, orgao, cnj: rd?.code });
+
+  return {
+    instancia: catalogo.instancia,
+    instancia_judit: instanciaRaw,
+    tribunal: catalogo.sigla,
+    fonte: catalogo.fonte || 'Fonte não informada',
+    status: rd?.status || (all.length ? 'ANDAMENTO' : 'DESCONHECIDO'),
+    fase: rd?.phase || null,
+    orgao,
+    ultima_movimentacao_data: all[0]?.step_date || null,
+    movimentacoes: steps.map(mapStep)
+  };
+}
+
+// --- Item da lista de processos (buscas por cpf, cnpj, oab ou nome) ---
+export function buildLawsuitSummary(lawsuit) {
+  const rd = lawsuit?.response_data || lawsuit || {};
+  const steps = sortedSteps(lawsuit);
+  const processo = mapProcesso(lawsuit);
+
+  return {
+    cnj: rd?.code || null,
+    tribunal: processo.tribunal,
+    instancia: processo.instancia,
+    fonte: formatFonte(rd?.tribunal_acronym || null, rd?.instance || null, { cnj: rd?.code, orgao: processo.orgao }),
+    status: rd?.status || (steps.length ? 'ANDAMENTO' : 'DESCONHECIDO'),
+    ultima_movimentacao_data: steps[0]?.step_date || rd?.last_step?.step_date || null,
+    processo,
+    partes: mapParties(rd?.parties)
+  };
+}
@@ -0,0 +1,120 @@
+// lib/poll.js
+// Polling da JUDIT (getRequest + getResponses) até completar ou estourar o tempo
+
+import { asBool, sleep } from './http.js';
+import { createTrace, getAllResponses, getRequest, getResponses } from './judit.js';
+
+// Controle de paciência a partir da query string (mesmos limites em todas as rotas)
+export function readPollOptions(searchParams, { defaultWaitMs = 30000 } = {}) {
+  return {
+    waitMs: Math.min(parseInt(searchParams.get('waitMs') || String(defaultWaitMs), 10), 60000),
+    pollInterval: Math.max(750, Math.min(parseInt(searchParams.get('pollMs') || '1500', 10), 5000)),
+    // (Opcional) 2ª tentativa curta antes de responder
+    retryOnPending: asBool(searchParams.get('retryOnPending') || '0'),
+    graceMs: Math.min(parseInt(searchParams.get('graceMs') || '5000', 10), 15000),
+    gracePollMs: Math.max(500, Math.min(parseInt(searchParams.get('gracePollMs') || '800', 10), 3000))
+  };
+}
+
+// Página 1 já lida; se houver mais páginas, busca todas (várias instâncias / tribunais)
+async function collectPages({ apiKey, requestId, first, trace }) {
+  const pageCount = parseInt(first?.all_pages_count ?? first?.page_count ?? 1, 10) || 1;
+  if (pageCount <= 1) return { items: first.page_data, pages: 1 };
+  try {
+    const all = await getAllResponses({ apiKey, requestId, trace });
+    return all.items.length ? { items: all.items, pages: all.pages } : { items: first.page_data, pages: 1 };
+  } catch (_) {
+    // erro já registrado no trace; fica com a primeira página
+    return { items: first.page_data, pages: 1 };
+  }
+}
+
+// Não adianta insistir: circuito aberto, corpo que não é JSON ou 4xx (request_id inexistente, api-key inválida...)
+function isFatal(err) {
+  const status = err?.detail?.status;
+  if (err?.codigo === 'RESPOSTA_INVALIDA') return true;
+  return err?.detail?.circuit === 'open' || (status >= 400 && status < 500 && status !== 429);
+}
+
+// Sempre faz ao menos uma consulta, mesmo com waitMs = 0 (usado pela rota de status).
+// `completed` é a primeira response; `responses` traz todas as páginas (agrupadas depois em lib/instances.js).
+// getRequest só é consultado enquanto não há responses (para saber se a JUDIT concluiu sem dados).
+// onProgress(poll, { grace }): chamado após cada consulta com o estado parcial (SSE, lib/sse.js).
+export async function pollResponses({
+  apiKey, requestId, waitMs, pollInterval, retryOnPending = false, graceMs = 0, gracePollMs = 800,
+  trace = createTrace(), onProgress = null
+}) {
+  const start = Date.now();
+  let attempts = 0;
+  let completed = null;
+  let responses = [];
+  let pages = 0;
+  let requestStatus = 'pending';
+  let upstreamError = null;
+  const isDone = () => requestStatus === 'completed' || completed?.request_status === 'completed';
+  const snapshot = () => ({
+    completed,
+    responses,
+    pages,
+    requestStatus,
+    attempts,
+    waited_ms: Date.now() - start,
+    isCompleted: !!completed && isDone(),
+    upstreamError,
+    trace
+  });
+
+  // Uma consulta: true quando não há mais o que esperar
+  const check = async ({ withRequestStatus }) => {
+    try {
+      const resp = await getResponses({ apiKey, requestId, trace });
+      upstreamError = null; // só guarda a falha se a JUDIT seguir falhando até o fim
+      if (Array.isArray(resp?.page_data) && resp.page_data.length) {
+        completed = resp.page_data[0];
+        responses = resp.page_data;
+        pages = 1;
+        requestStatus = resp?.request_status || requestStatus;
+        if (isDone()) {
+          ({ items: responses, pages } = await collectPages({ apiKey, requestId, first: resp, trace }));
+          return true;
+        }
+        return false;
+      }
+      if (withRequestStatus) {
+        const r = await getRequest({ apiKey, requestId, trace });
+        requestStatus = r?.status || requestStatus;
+        // concluída sem nenhuma response: processo não encontrado
+        if (requestStatus === 'completed') return true;
+      }
+    } catch (err) {
+      upstreamError = err;
+      if (isFatal(err)) return true;
+    }
+    return false;
+  };
+
+  while (attempts === 0 || Date.now() - start < waitMs) {
+    attempts += 1;
+    const done = await check({ withRequestStatus: true });
+    onProgress?.(snapshot(), { grace: false });
+    if (done) break;
+
+    // não dorme se a próxima volta já não caberia no tempo
+    if (Date.now() - start + pollInterval >= waitMs) break;
+    await sleep(pollInterval);
+  }
+
+  // Grace period opcional
+  if (retryOnPending && !isDone() && !isFatal(upstreamError)) {
+    const graceStart = Date.now();
+    while (Date.now() - graceStart < graceMs) {
+      const done = await check({ withRequestStatus: false });
+      onProgress?.(snapshot(), { grace: true });
+      if (done) break;
+      if (Date.now() - graceStart + gracePollMs >= graceMs) break;
+      await sleep(gracePollMs);
+    }
+  }
+
+  return snapshot();
+}
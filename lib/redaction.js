@@ -0,0 +1,272 @@
+// lib/redaction.js
+// LGPD: política de redação aplicada às responses da JUDIT antes do mapeamento (todas as rotas).
+// Diretivas (lgpd= na query, ou "lgpd" do cliente em PROXY_CLIENTS, que vale sempre):
+//   mascarar | hash  documentos das partes e OAB dos advogados (CPF vira •••.456.789-••; hash = HMAC com PROXY_LGPD_SALT)
+//   nomes            remove o nome das pessoas físicas (advogados mantêm o nome)
+//   privados         remove as movimentações com private: true
+//   sigilo:N         processo com secrecy_level acima de N é reduzido à capa (reduzir, padrão) ou recusado (recusar)
+//   padrao = mascarar,privados; total = hash,nomes,privados,sigilo:0
+// A query só pode endurecer a política do cliente, nunca afrouxar.
+
+import { createHmac } from 'node:crypto';
+import { normalize } from './classifier.js';
+import { onlyDigits } from './documents.js';
+import { pollResponsesOf } from './instances.js';
+import { maskCpf } from './summary.js';
+
+const PRESETS = {
+  1: ['mascarar', 'privados'],
+  padrao: ['mascarar', 'privados'],
+  total: ['hash', 'nomes', 'privados', 'sigilo:0']
+};
+const DOCUMENT_RANK = { mascarar: 1, hash: 2 };
+const HASH_CHARS = 16;
+
+const CPF_TEXT = /\b\d{3}\.\d{3}\.\d{3}-\d{2}\b/g;
+const CNPJ_TEXT = /\b\d{2}\.\d{3}\.\d{3}\/\d{4}-\d{2}\b/g;
+const LABELED_DOC_TEXT = /\b(CPF|CNPJ)(\s*(?:n[º°o.]*|:)?\s*)(\d{11}|\d{14})\b/gi;
+
+// "mascarar,nomes,sigilo:1,recusar" → política; null quando vazia; lança { message } com diretiva desconhecida
+function parseDirectives(value) {
+  const tokens = (Array.isArray(value) ? value : String(value ?? '').split(','))
+    .map((t) => String(t).trim().toLowerCase())
+    .filter((t) => t && t !== '0')
+    .flatMap((t) => PRESETS[t] || [t]);
+  if (!tokens.length) return null;
+
+  const policy = { documentos: null, nomes: false, privados: false, sigiloMaximo: null, acimaDoSigilo: 'reduzir' };
+  for (const token of tokens) {
+    const sigilo = token.match(/^sigilo:(\d)$/);
+    if (DOCUMENT_RANK[token]) policy.documentos = strictestDocument(policy.documentos, token);
+    else if (token === 'nomes' || token === 'privados') policy[token] = true;
+    else if (sigilo) policy.sigiloMaximo = minLevel(policy.sigiloMaximo, Number(sigilo[1]));
+    else if (token === 'recusar' || token === 'reduzir') policy.acimaDoSigilo = token;
+    else throw { message: `Diretiva LGPD desconhecida: "${token}". Use: mascarar, hash, nomes, privados, sigilo:N, recusar, padrao, total.` };
+  }
+  return policy;
+}
+
+function strictestDocument(a, b) {
+  return (DOCUMENT_RANK[a] || 0) >= (DOCUMENT_RANK[b] || 0) ? a : b;
+}
+
+function minLevel(a, b) {
+  if (a == null) return b;
+  if (b == null) return a;
+  return Math.min(a, b);
+}
+
+// { lgpd: política | null, error: string | null } — parâmetro lgpd= da query
+export function readRedactionOption(searchParams) {
+  try {
+    return { lgpd: parseDirectives(searchParams.get('lgpd')), error: null };
+  } catch (err) {
+    return { lgpd: null, error: err.message };
+  }
+}
+
+function mergePolicies(enforced, requested) {
+  if (!enforced || !requested) return enforced || requested;
+  return {
+    documentos: strictestDocument(enforced.documentos, requested.documentos),
+    nomes: enforced.nomes || requested.nomes,
+    privados: enforced.privados || requested.privados,
+    sigiloMaximo: minLevel(enforced.sigiloMaximo, requested.sigiloMaximo),
+    acimaDoSigilo: enforced.acimaDoSigilo === 'recusar' || requested.acimaDoSigilo === 'recusar' ? 'recusar' : 'reduzir'
+  };
+}
+
+/**
+ * Política efetiva: a do cliente (obrigatória) endurecida pela pedida na requisição.
+ * Chamada pelas rotas antes de qualquer chamada à JUDIT: hash sem PROXY_LGPD_SALT lança CONFIGURACAO_AUSENTE
+ * ali, e não no meio da montagem da resposta, depois da busca paga.
+ */
+export function resolveRedaction(client, requested = null) {
+  let enforced = null;
+  try {
+    enforced = parseDirectives(client?.lgpd);
+  } catch (err) {
+    throw { message: `PROXY_CLIENTS: ${err.message}`, status: 500 };
+  }
+  const policy = mergePolicies(enforced, requested);
+  if (policy?.documentos === 'hash' && !lgpdSalt()) throw missingSaltError();
+  return policy;
+}
+
+function lgpdSalt() {
+  return process.env.PROXY_LGPD_SALT || null;
+}
+
+function missingSaltError() {
+  return { message: 'PROXY_LGPD_SALT não configurada (necessária para lgpd=hash).', status: 500, codigo: 'CONFIGURACAO_AUSENTE' };
+}
+
+function hashDocument(value) {
+  const salt = lgpdSalt();
+  if (!salt) throw missingSaltError();
+  const digits = onlyDigits(value);
+  const normalized = digits.length === 11 || digits.length === 14 ? digits : String(value).trim().toUpperCase();
+  return `hash:${createHmac('sha256', salt).update(normalized).digest('hex').slice(0, HASH_CHARS)}`;
+}
+
+// CNPJ mantém a raiz (identifica a empresa); RG, OAB e outros só os 2 últimos dígitos (e a UF da OAB)
+function maskDocument(value) {
+  const raw = String(value);
+  const digits = onlyDigits(raw);
+  if (digits.length === 11) return maskCpf(digits);
+  if (digits.length === 14) return `${digits.slice(0, 2)}.${digits.slice(2, 5)}.${digits.slice(5, 8)}/••••-••`;
+  return raw.replace(/\d(?=(?:\D*\d){2})/g, '•');
+}
+
+function redactDocument(value, policy, counts) {
+  if (value == null || value === '' || !policy.documentos) return value;
+  counts.documentos += 1;
+  return policy.documentos === 'hash' ? hashDocument(value) : maskDocument(value);
+}
+
+// documents da JUDIT: strings ou { document, document_type }
+function redactDocumentList(list, policy, counts) {
+  if (!Array.isArray(list)) return list;
+  return list.map((d) => (d && typeof d === 'object'
+    ? { ...d, document: redactDocument(d.document, policy, counts) }
+    : redactDocument(d, policy, counts)));
+}
+
+function isNaturalPerson(party) {
+  const type = normalize(party?.person_type);
+  if (/fisica|natural|^pf$/.test(type)) return true;
+  if (/juridica|legal|^pj$|empresa|orgao/.test(type)) return false;
+  return onlyDigits(party?.main_document).length === 11;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Documentos e nomes removidos também saem do texto das movimentações
+function redactContent(content, policy, names) {
+  if (typeof content !== 'string') return content;
+  let text = content;
+  if (policy.documentos) {
+    const replace = (doc) => (policy.documentos === 'hash' ? hashDocument(doc) : maskDocument(doc));
+    text = text
+      .replace(CPF_TEXT, replace)
+      .replace(CNPJ_TEXT, replace)
+      .replace(LABELED_DOC_TEXT, (_, label, sep, doc) => `${label}${sep}${replace(doc)}`);
+  }
+  for (const name of names) text = text.replace(new RegExp(escapeRegExp(name), 'giu'), '[nome omitido]');
+  return text;
+}
+
+function redactParty(party, policy, counts, names) {
+  const out = {
+    ...party,
+    main_document: redactDocument(party?.main_document, policy, counts),
+    documents: redactDocumentList(party?.documents, policy, counts),
+    lawyers: Array.isArray(party?.lawyers)
+      ? party.lawyers.map((l) => ({
+          ...l,
+          oab: redactDocument(l?.oab, policy, counts),
+          documents: redactDocumentList(l?.documents, policy, counts)
+        }))
+      : party?.lawyers
+  };
+  if (policy.nomes && party?.name && isNaturalPerson(party)) {
+    if (String(party.name).trim().length >= 5) names.push(String(party.name).trim());
+    out.name = null;
+    counts.nomes += 1;
+  }
+  return out;
+}
+
+function redactSteps(steps, policy, counts, names) {
+  if (!Array.isArray(steps)) return steps;
+  const kept = policy.privados ? steps.filter((s) => !s?.private) : steps;
+  counts.movimentacoes_privadas += steps.length - kept.length;
+  return kept.map((s) => ({ ...s, content: redactContent(s?.content, policy, names) }));
+}
+
+// Uma response (com ou sem response_data) redigida; null quando o sigilo manda recusar
+function redactResponse(response, policy, counts) {
+  if (!response) return response;
+  const rd = response.response_data || response;
+  const level = Number(rd?.secrecy_level ?? 0);
+
+  let out;
+  if (policy.sigiloMaximo != null && level > policy.sigiloMaximo) {
+    if (policy.acimaDoSigilo === 'recusar') {
+      counts.sigilo = 'recusado';
+      return null;
+    }
+    // reduzir: fica só a capa (tribunal, instância, classe, status...)
+    counts.sigilo = 'reduzido';
+    out = { ...rd, parties: [], steps: [], attachments: [], last_step: null };
+  } else {
+    const names = [];
+    const parties = Array.isArray(rd?.parties) ? rd.parties.map((p) => redactParty(p, policy, counts, names)) : rd?.parties;
+    const lastStep = rd?.last_step && !(policy.privados && rd.last_step.private)
+      ? { ...rd.last_step, content: redactContent(rd.last_step.content, policy, names) }
+      : null;
+    out = { ...rd, parties, steps: redactSteps(rd?.steps, policy, counts, names), last_step: lastStep };
+  }
+  return response.response_data ? { ...response, response_data: out } : out;
+}
+
+function newCounts() {
+  return { documentos: 0, nomes: 0, movimentacoes_privadas: 0, sigilo: null };
+}
+
+// meta.lgpd: política efetiva e o que de fato foi redigido nesta resposta
+function buildReport(policy, counts) {
+  const aplicadas = [
+    counts.documentos ? 'documentos' : null,
+    counts.nomes ? 'nomes' : null,
+    counts.movimentacoes_privadas ? 'movimentacoes_privadas' : null,
+    counts.sigilo ? `sigilo_${counts.sigilo}` : null
+  ].filter(Boolean);
+  return {
+    documentos: policy.documentos,
+    nomes: policy.nomes,
+    privados: policy.privados,
+    sigilo_maximo: policy.sigiloMaximo,
+    acima_do_sigilo: policy.sigiloMaximo != null ? policy.acimaDoSigilo : null,
+    aplicadas,
+    contagem: {
+      documentos: counts.documentos,
+      nomes: counts.nomes,
+      movimentacoes_privadas: counts.movimentacoes_privadas
+    }
+  };
+}
+
+/**
+ * Lista de responses redigida (buscas por cpf/cnpj/oab/nome): as recusadas pelo sigilo saem da lista.
+ * Retorna { responses, report } — report null sem política.
+ */
+export function redactResponses(responses, policy) {
+  if (!policy) return { responses, report: null };
+  const counts = newCounts();
+  const out = (responses || []).map((r) => redactResponse(r, policy, counts)).filter((r) => r !== null);
+  return { responses: out, report: buildReport(policy, counts) };
+}
+
+/**
+ * Resultado do polling (lib/poll.js) redigido: { poll, report, refused }.
+ * refused: alguma instância acima do sigilo com "recusar" — o processo inteiro fica de fora (SEGREDO_DE_JUSTICA).
+ * poll.completed segue intacto: dele só se leem tags e request_status.
+ */
+export function redactPoll(poll, policy) {
+  if (!policy || !poll) return { poll, report: null, refused: false };
+  const counts = newCounts();
+  const responses = pollResponsesOf(poll).map((r) => redactResponse(r, policy, counts));
+  const report = buildReport(policy, counts);
+  if (responses.some((r) => r === null)) {
+    return { poll: { ...poll, responses: [], completed: null, isCompleted: false }, report, refused: true };
+  }
+  return { poll: { ...poll, responses }, report, refused: false };
+}
+
+// X-Proxy-Lgpd: redações aplicadas (ou "nenhuma") — também nas rotas sem meta, como a min
+export function setRedactionHeader(res, report) {
+  if (report) res.setHeader('X-Proxy-Lgpd', report.aplicadas.length ? report.aplicadas.join(',') : 'nenhuma');
+}
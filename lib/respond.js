@@ -0,0 +1,139 @@
+// lib/respond.js
+// Decisão final (200 completo / 202 parcial / 202 sem dados / 404 não encontrado / erro da JUDIT)
+// a partir do resultado do polling. O código (lib/errors.js) vai no header X-Proxy-Codigo.
+
+import { ERROS, erroField, errorStatus, minimalErrorStatus, pollCode, setCodeHeader } from './errors.js';
+import { sendJson } from './http.js';
+import { lawsuitFromPoll } from './instances.js';
+import { summarizeTrace } from './judit.js';
+import { setJobHeaders } from './jobs.js';
+import { projectFields, sendExport } from './listing.js';
+import { notePoll } from './observability.js';
+import { buildFullPayload, buildMinimalPayload, emptyMinimalPayload } from './payload.js';
+import { redactPoll, setRedactionHeader } from './redaction.js';
+import { buildSummary } from './summary.js';
+
+// X-Proxy-Cache: HIT (cache do proxy), SHARED (request_id de outra chamada em andamento) ou MISS
+function setCacheHeaders(res, cache) {
+  if (!cache) return;
+  res.setHeader('X-Proxy-Cache', cache.hit ? 'HIT' : cache.shared_request ? 'SHARED' : 'MISS');
+  if (cache.hit) res.setHeader('Age', String(Math.floor(cache.age_ms / 1000)));
+}
+
+// Sem dados: 'timeout' (JUDIT ainda processando), 'not_found' ou 'error' (falha da JUDIT)
+function emptyOutcome(code) {
+  if (code === 'TIMEOUT') return 'timeout';
+  if (code === 'NAO_ENCONTRADO') return 'not_found';
+  return 'error';
+}
+
+// { status, outcome: 'completed' | 'partial' | 'timeout' | 'not_found' | 'error', code, body } — sempre com JSON minimalista
+// options: repassadas aos builders de payload (since, afterStepId, ...); options.lgpd: política de redação (lib/redaction.js)
+// withErro: acrescenta a chave "erro" ({ codigo, mensagem } ou null)
+export function minimalResult({ cnj, poll: rawPoll, options = {}, withErro = false }) {
+  const { poll, report, refused } = redactPoll(rawPoll, options.lgpd);
+  const { completed, isCompleted } = poll;
+  const { lawsuit } = lawsuitFromPoll(poll);
+  const code = refused ? 'SEGREDO_DE_JUSTICA' : pollCode(poll, lawsuit);
+
+  let result;
+  if (isCompleted) {
+    result = { status: 200, outcome: 'completed', code, body: buildMinimalPayload({ cnj, lawsuit }, options) };
+  } else if (completed) {
+    // parcial (202), mas mesmo JSON enxuto
+    result = { status: 202, outcome: 'partial', code, body: buildMinimalPayload({ cnj, lawsuit }, options) };
+  } else {
+    // Sem dados — mantém chaves com null
+    result = { status: minimalErrorStatus(code), outcome: emptyOutcome(code), code, body: emptyMinimalPayload(cnj) };
+  }
+
+  if (withErro) result.body.erro = erroField(code);
+  if (options.formato && !result.body.resumo) {
+    result.body.resumo = buildSummary({ cnj, mensagem: ERROS[code].mensagem }, options.formato);
+  }
+  result.lgpd = report;
+  return result;
+}
+
+export function fullResult({ cnj, poll: rawPoll, job, includeAttachments = false, options = {} }) {
+  const { poll, report: lgpd, refused } = redactPoll(rawPoll, options.lgpd);
+  const { completed, requestStatus, attempts, waited_ms, isCompleted } = poll;
+  const proxy_cache = poll.cache;
+  const upstream = summarizeTrace(poll.trace);
+  const { lawsuit, instances } = lawsuitFromPoll(poll);
+  const code = refused ? 'SEGREDO_DE_JUSTICA' : pollCode(poll, lawsuit);
+
+  if (isCompleted) {
+    return {
+      status: 200,
+      outcome: 'completed',
+      code,
+      lgpd,
+      body: buildFullPayload({
+        cnj, lawsuit, error: code === 'OK' ? null : { codigo: code, message: ERROS[code].mensagem }, meta: {
+          request_status: 'completed', is_partial: false,
+          cached_response: !!completed?.tags?.cached_response,
+          waited_ms, attempts, upstream, job, proxy_cache, lgpd
+        }
+      }, { includeAttachments, instances, ...options })
+    };
+  }
+
+  if (completed) {
+    return {
+      status: 202,
+      outcome: 'partial',
+      code,
+      lgpd,
+      body: buildFullPayload({
+        cnj, lawsuit, error: null, meta: {
+          request_status: requestStatus || completed?.request_status || 'pending',
+          is_partial: true,
+          cached_response: !!completed?.tags?.cached_response,
+          waited_ms, attempts, upstream, job, proxy_cache, lgpd, message: ERROS.PARCIAL.mensagem
+        }
+      }, { includeAttachments, instances, ...options })
+    };
+  }
+
+  return {
+    status: errorStatus(code),
+    outcome: emptyOutcome(code),
+    code,
+    lgpd,
+    body: buildFullPayload({
+      cnj, lawsuit: null, error: {
+        codigo: code,
+        message: code === 'TIMEOUT'
+          ? 'Não foi possível obter as movimentações dentro do tempo limite.'
+          : ERROS[code].mensagem,
+        detail: { request_status: requestStatus, upstream: poll.upstreamError?.detail || null }
+      }, meta: { request_status: requestStatus, is_partial: true, waited_ms, attempts, upstream, job, proxy_cache, lgpd }
+    }, { includeAttachments, instances, ...options })
+  };
+}
+
+export function sendMinimalResult(res, { cnj, poll, job, options, withErro = false }) {
+  const result = minimalResult({ cnj, poll, options, withErro });
+  notePoll(res, { cnj, requestId: job?.request_id, poll, outcome: result.outcome });
+  setCacheHeaders(res, poll.cache);
+  setCodeHeader(res, result.code);
+  setRedactionHeader(res, result.lgpd);
+  if (result.status !== 200) setJobHeaders(res, job);
+  return sendJson(res, result.body, result.status);
+}
+
+// options.export (csv | ndjson), options.fields e options.pretty: saída da rota full (lib/listing.js)
+export function sendFullResult(res, { cnj, poll, job, includeAttachments = false, options = {} }) {
+  const result = fullResult({ cnj, poll, job, includeAttachments, options });
+  notePoll(res, { cnj, requestId: job?.request_id, poll, outcome: result.outcome });
+  setCacheHeaders(res, poll.cache);
+  setCodeHeader(res, result.code);
+  setRedactionHeader(res, result.lgpd);
+  if (result.status !== 200) setJobHeaders(res, job);
+  if (options.export && (result.outcome === 'completed' || result.outcome === 'partial')) {
+    if (result.body.meta?.paginacao?.proximo_cursor) res.setHeader('X-Proximo-Cursor', result.body.meta.paginacao.proximo_cursor);
+    return sendExport(res, { body: result.body, format: options.export, fields: options.fields, status: result.status });
+  }
+  return sendJson(res, projectFields(result.body, options.fields), result.status, { pretty: options.pretty !== false });
+}
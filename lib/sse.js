@@ -0,0 +1,109 @@
+// lib/sse.js
+// Variante Server-Sent Events das rotas de movimentações (stream=sse ou Accept: text/event-stream).
+// Eventos, em ordem:
+//   created    request_id, job e origem (nova, compartilhada, cache ou retomada)
+//   status     a cada consulta à JUDIT: tentativa, request_status, grace, waited_ms
+//   partial    payload parcial (min ou full) quando a JUDIT já devolve page_data; repetido só se mudar
+//   completed | timeout | error   evento final, com o mesmo payload da resposta JSON, e a conexão fecha
+// O código (X-Proxy-Codigo) e a redação LGPD vão no evento final, já que os headers saem antes.
+
+import { classifyUpstreamError, errorStatus } from './errors.js';
+import { asBool } from './http.js';
+import { setJobHeaders } from './jobs.js';
+import { annotate, noteError, notePoll } from './observability.js';
+
+const HEARTBEAT_MS = 15000;
+
+// partial termina como timeout: a JUDIT não concluiu dentro do waitMs (+ graceMs)
+const FINAL_EVENTS = { completed: 'completed', partial: 'timeout', timeout: 'timeout' };
+
+// { stream, error } — async=1 e export não fazem sentido com o stream
+export function readStreamOption(req, searchParams) {
+  const stream = searchParams.get('stream') === 'sse' || String(req.headers?.accept || '').includes('text/event-stream');
+  const conflict = stream && (asBool(searchParams.get('async') || '0') || !!searchParams.get('export'));
+  return { stream, error: conflict ? 'stream=sse não combina com async=1 nem com export.' : null };
+}
+
+function openEventStream(res) {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders?.();
+
+  let id = 0;
+  let closed = false;
+  // comentário periódico: proxies e canais não derrubam a conexão parada
+  const heartbeat = setInterval(() => { if (!closed) res.write(': ping\n\n'); }, HEARTBEAT_MS);
+  heartbeat.unref?.();
+  const close = () => {
+    closed = true;
+    clearInterval(heartbeat);
+  };
+  res.on?.('close', close);
+
+  return {
+    send(event, data) {
+      if (closed) return;
+      id += 1;
+      res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      if (closed) return;
+      close();
+      res.end();
+    }
+  };
+}
+
+// onProgress do polling: um "status" por consulta e um "partial" quando os dados parciais mudam
+function progressRelay(stream, build) {
+  let tentativa = 0;
+  let lastSignature = null;
+  return (poll, { grace }) => {
+    tentativa += 1;
+    stream.send('status', { tentativa, request_status: poll.requestStatus, grace, waited_ms: poll.waited_ms });
+    if (!poll.completed || poll.isCompleted) return;
+
+    const signature = poll.responses
+      .map((r) => `${r?.response_id || ''}:${(r?.response_data || r)?.steps?.length ?? 0}`)
+      .join('|');
+    if (signature === lastSignature) return;
+    lastSignature = signature;
+    stream.send('partial', { request_status: poll.requestStatus, payload: build(poll).body });
+  };
+}
+
+/**
+ * Responde em SSE: abre o stream, acompanha o polling e fecha com o evento final.
+ * origem: 'nova' | 'compartilhada' | 'cache' | 'retomada'
+ * cached: resultado pronto (cache do proxy ou callback) — vai direto para o evento final
+ * poll(onProgress): roda o polling e devolve o resultado já finalizado (cache, webhook, uso)
+ * build(poll): { status, outcome, code, lgpd, body } de lib/respond.js (minimalResult / fullResult)
+ */
+export async function streamPolling(res, { cnj, job, origem, cached = null, poll, build }) {
+  setJobHeaders(res, job);
+  const stream = openEventStream(res);
+  try {
+    stream.send('created', { cnj, request_id: job.request_id, origem, job });
+    const polled = cached || await poll(progressRelay(stream, build));
+    const result = build(polled);
+    notePoll(res, { cnj, requestId: job.request_id, poll: polled, outcome: result.outcome });
+    annotate(res, { codigo: result.code });
+    stream.send(FINAL_EVENTS[result.outcome] || 'error', {
+      status: result.status,
+      codigo: result.code,
+      lgpd: result.lgpd || null,
+      job: result.status === 200 ? null : job,
+      payload: result.body
+    });
+  } catch (err) {
+    const codigo = classifyUpstreamError(err);
+    noteError(res, err);
+    annotate(res, { codigo });
+    stream.send('error', { status: errorStatus(codigo), codigo, mensagem: err?.message || null, job });
+  } finally {
+    stream.end();
+  }
+}
@@ -0,0 +1,69 @@
+// lib/store.js
+// Armazenamento chave/valor com TTL usado pelo cache e demais estados do proxy.
+// Padrão: memória do processo. PROXY_STORE=file grava JSON em PROXY_STORE_DIR (ou tmp do sistema).
+// Qualquer adapter com get/set/delete assíncronos (ex.: Redis, Vercel KV) pode ser plugado via setStore().
+
+import { createHash } from 'node:crypto';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+function isExpired(entry) {
+  return entry.expiresAt != null && entry.expiresAt <= Date.now();
+}
+
+export function createMemoryStore() {
+  const data = new Map();
+  return {
+    async get(key) {
+      const entry = data.get(key);
+      if (!entry) return null;
+      if (isExpired(entry)) { data.delete(key); return null; }
+      return entry.value;
+    },
+    async set(key, value, ttlMs = 0) {
+      data.set(key, { value, expiresAt: ttlMs > 0 ? Date.now() + ttlMs : null });
+    },
+    async delete(key) {
+      data.delete(key);
+    }
+  };
+}
+
+export function createFileStore(dir = path.join(os.tmpdir(), 'zaia-proxy-judit')) {
+  const fileFor = (key) => path.join(dir, `${createHash('sha1').update(key).digest('hex')}.json`);
+  return {
+    async get(key) {
+      try {
+        const entry = JSON.parse(await fs.readFile(fileFor(key), 'utf8'));
+        if (isExpired(entry)) { await fs.rm(fileFor(key), { force: true }); return null; }
+        return entry.value;
+      } catch (_) {
+        return null;
+      }
+    },
+    async set(key, value, ttlMs = 0) {
+      await fs.mkdir(dir, { recursive: true });
+      const entry = { key, value, expiresAt: ttlMs > 0 ? Date.now() + ttlMs : null };
+      await fs.writeFile(fileFor(key), JSON.stringify(entry), 'utf8');
+    },
+    async delete(key) {
+      await fs.rm(fileFor(key), { force: true });
+    }
+  };
+}
+
+let current = null;
+
+export function getStore() {
+  if (!current) {
+    current = process.env.PROXY_STORE === 'file'
+      ? createFileStore(process.env.PROXY_STORE_DIR || undefined)
+      : createMemoryStore();
+  }
+  return current;
+}
+
+export function setStore(adapter) {
+  current = adapter;
+}
@@ -0,0 +1,139 @@
+// lib/summary.js
+// Resumo em português, pronto para o chat dos agentes da ZAIA: formato=texto | markdown | whatsapp.
+// Tribunal/instância, status, fase, última movimentação com data relativa e partes (CPF mascarado).
+// O WhatsApp só entende *negrito*/_itálico_: os marcadores vindos dos dados são neutralizados.
+
+import { dayOf, today } from './calendar.js';
+
+export const SUMMARY_FORMATS = ['texto', 'markdown', 'whatsapp'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_CONTENT_CHARS = 500; // texto da última movimentação
+const MAX_PARTIES = 6;
+const MAX_CHARS = { texto: 2000, markdown: 2000, whatsapp: 1500 };
+
+// { formato: 'texto' | 'markdown' | 'whatsapp' | null, error: string | null }
+export function readFormatOption(searchParams) {
+  const raw = (searchParams.get('formato') || '').trim().toLowerCase();
+  if (!raw || raw === 'json') return { formato: null, error: null };
+  if (!SUMMARY_FORMATS.includes(raw)) {
+    return { formato: null, error: `Parâmetro "formato" inválido. Use: ${SUMMARY_FORMATS.join(', ')}.` };
+  }
+  return { formato: raw, error: null };
+}
+
+const POLOS = { active: 'polo ativo', passive: 'polo passivo', ativo: 'polo ativo', passivo: 'polo passivo' };
+
+// LGPD: CPF vira •••.456.789-•• (sem "*", que o WhatsApp e o markdown leriam como negrito)
+export function maskCpf(doc) {
+  const digits = String(doc || '').replace(/\D/g, '');
+  if (digits.length !== 11) return doc || null;
+  return `•••.${digits.slice(3, 6)}.${digits.slice(6, 9)}-••`;
+}
+
+function describeDocument(doc) {
+  const digits = String(doc || '').replace(/\D/g, '');
+  if (digits.length === 11) return `CPF ${maskCpf(digits)}`;
+  if (digits.length === 14) return `CNPJ ${doc}`;
+  return doc || null;
+}
+
+function formatDay(day) {
+  const [y, m, d] = day.split('-');
+  return `${d}/${m}/${y}`;
+}
+
+// "hoje", "ontem", "há 3 dias", "há 2 meses", "há 1 ano"
+export function relativeDate(value, now = Date.now()) {
+  const day = dayOf(value);
+  if (!day) return null;
+  const days = Math.round((new Date(today(now)) - new Date(day)) / DAY_MS);
+  if (days < 0) return `em ${formatDay(day)}`;
+  if (days === 0) return 'hoje';
+  if (days === 1) return 'ontem';
+  if (days < 30) return `há ${days} dias`;
+  if (days < 365) {
+    const months = Math.floor(days / 30);
+    return months === 1 ? 'há 1 mês' : `há ${months} meses`;
+  }
+  const years = Math.floor(days / 365);
+  return years === 1 ? 'há 1 ano' : `há ${years} anos`;
+}
+
+function truncate(text, max) {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  return clean.length > max ? `${clean.slice(0, max - 1).trimEnd()}…` : clean;
+}
+
+// Marcadores de formatação que viriam dos dados (nomes, texto da movimentação)
+function escapeFor(formato, text) {
+  if (formato === 'markdown') return String(text).replace(/([\\`*_[\]#|<>])/g, '\\$1');
+  if (formato === 'whatsapp') return String(text).replace(/[*_~`]/g, '');
+  return String(text);
+}
+
+function describeParty(p, formato) {
+  const name = escapeFor(formato, p?.nome || 'Parte sem nome');
+  const poloRaw = String(p?.polo || '').toLowerCase();
+  const polo = poloRaw ? ` (${POLOS[poloRaw] || poloRaw})` : '';
+  const doc = describeDocument(p?.documento);
+  return `${name}${polo}${doc ? ` - ${escapeFor(formato, doc)}` : ''}`;
+}
+
+/**
+ * Resumo do processo no formato pedido.
+ * data: { cnj, fonte, status, fase, ultima: { conteudo, data } | null, partes, mensagem }
+ * mensagem: usada quando não há dados do processo (busca em andamento, não encontrado, erro)
+ */
+export function buildSummary(data, formato = 'texto') {
+  const f = SUMMARY_FORMATS.includes(formato) ? formato : 'texto';
+  const bold = (s) => (f === 'markdown' ? `**${s}**` : f === 'whatsapp' ? `*${s}*` : s);
+  const cnj = data?.cnj || 'sem número';
+
+  const hasData = !!(data?.status || data?.ultima?.conteudo || data?.partes?.length);
+  if (!hasData) {
+    return `${bold(`Processo ${cnj}`)}: ${escapeFor(f, data?.mensagem || 'sem dados disponíveis no momento.')}`;
+  }
+
+  const lines = [];
+  const header = [data.fonte, data.status && `status ${data.status}`, data.fase && `fase ${data.fase}`]
+    .filter(Boolean).map((s) => escapeFor(f, s));
+
+  if (f === 'texto') {
+    lines.push(`Processo ${cnj}${header.length ? ` (${header.join(', ')})` : ''}.`);
+  } else {
+    lines.push(bold(`Processo ${cnj}`));
+    if (data.fonte) lines.push(`${f === 'markdown' ? '- ' : ''}Tribunal: ${escapeFor(f, data.fonte)}`);
+    if (data.status) lines.push(`${f === 'markdown' ? '- ' : ''}Status: ${escapeFor(f, data.status)}`);
+    if (data.fase) lines.push(`${f === 'markdown' ? '- ' : ''}Fase: ${escapeFor(f, data.fase)}`);
+  }
+
+  if (data.ultima?.conteudo) {
+    const day = dayOf(data.ultima.data);
+    const when = day ? ` (${relativeDate(data.ultima.data)}, ${formatDay(day)})` : '';
+    const content = escapeFor(f, truncate(data.ultima.conteudo, MAX_CONTENT_CHARS));
+    lines.push(f === 'texto' ? `Última movimentação${when}: ${content}` : `\n${bold('Última movimentação')}${when}\n${content}`);
+  }
+
+  const partes = Array.isArray(data.partes) ? data.partes : [];
+  if (partes.length) {
+    const shown = partes.slice(0, MAX_PARTIES).map((p) => describeParty(p, f));
+    const more = partes.length > MAX_PARTIES ? `e mais ${partes.length - MAX_PARTIES}` : null;
+    if (f === 'texto') {
+      lines.push(`Partes: ${[...shown, ...(more ? [more] : [])].join('; ')}.`);
+    } else {
+      const bullet = f === 'markdown' ? '- ' : '• ';
+      lines.push(`\n${bold('Partes')}`, ...shown.map((s) => `${bullet}${s}`), ...(more ? [`${bullet}${more}`] : []));
+    }
+  }
+
+  return limit(lines.join('\n'), MAX_CHARS[f]);
+}
+
+// Corta no limite do canal sem quebrar a última linha no meio
+function limit(text, max) {
+  if (text.length <= max) return text;
+  const cut = text.slice(0, max - 1);
+  const lastBreak = cut.lastIndexOf('\n');
+  return `${(lastBreak > max / 2 ? cut.slice(0, lastBreak) : cut).trimEnd()}…`;
+}
@@ -0,0 +1,54 @@
+// lib/tenants.js
+// Tenants (escritórios): cada cliente do proxy (PROXY_CLIENTS, campo "tenant") usa a chave da JUDIT
+// e os padrões do seu tenant. Tenants em PROXY_TENANTS (JSON):
+//   [{ "id": "escritorio-a", "juditApiKey": "...", "waitMs": 45000, "withAttachments": true, "onDemand": false }]
+// Sem tenant configurado vale o tenant "default", com JUDIT_API_KEY.
+
+export const DEFAULT_TENANT_ID = 'default';
+
+let cachedRaw = null;
+let cachedTenants = [];
+
+// Aceita lista ou objeto { id: { ...config } }
+export function loadTenants(raw = process.env.PROXY_TENANTS || '') {
+  if (raw === cachedRaw) return cachedTenants;
+  let parsed = [];
+  try {
+    parsed = raw ? JSON.parse(raw) : [];
+  } catch (_) {
+    throw { message: 'PROXY_TENANTS não é um JSON válido.', status: 500 };
+  }
+  const list = Array.isArray(parsed)
+    ? parsed
+    : Object.entries(parsed || {}).map(([id, t]) => ({ id, ...t }));
+  cachedTenants = list.filter((t) => t?.id);
+  cachedRaw = raw;
+  return cachedTenants;
+}
+
+// Ids conhecidos (configurados + default), para relatórios de uso
+export function listTenantIds() {
+  const ids = loadTenants().map((t) => t.id);
+  return ids.includes(DEFAULT_TENANT_ID) ? ids : [DEFAULT_TENANT_ID, ...ids];
+}
+
+// { id, apiKey, waitMs, withAttachments, onDemand } — apiKey null quando não configurada
+export function resolveTenant(client) {
+  const id = client?.tenant || DEFAULT_TENANT_ID;
+  const config = loadTenants().find((t) => t.id === id) || null;
+  const waitMs = parseInt(config?.waitMs, 10);
+  return {
+    id,
+    apiKey: config?.juditApiKey || (id === DEFAULT_TENANT_ID ? process.env.JUDIT_API_KEY || null : null),
+    waitMs: Number.isFinite(waitMs) ? waitMs : null,
+    withAttachments: !!config?.withAttachments,
+    onDemand: config?.onDemand !== false,
+    configured: !!config || id === DEFAULT_TENANT_ID
+  };
+}
+
+export function missingApiKeyMessage(tenant) {
+  return tenant?.id && tenant.id !== DEFAULT_TENANT_ID
+    ? `Chave da JUDIT não configurada para o tenant "${tenant.id}".`
+    : 'JUDIT_API_KEY não configurada.';
+}
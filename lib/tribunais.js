@@ -0,0 +1,145 @@
+// lib/tribunais.js
+// Catálogo dos tribunais pelo código J.TR da numeração CNJ: sigla, nome, ramo, região e UFs.
+// Dá a "fonte" legível (TJBA - 1º grau, STJ - Superior Tribunal de Justiça), a instância padronizada
+// e completa com o número CNJ o que a JUDIT deixar vazio (tribunal, UF, instância).
+
+import { normalize } from './classifier.js';
+import { parseCnj } from './cnj.js';
+
+// Ordem dos estados na numeração CNJ (TR de 01 a 27 na Justiça Estadual e na Eleitoral)
+const ESTADOS = [
+  ['AC', 'do Acre'], ['AL', 'de Alagoas'], ['AP', 'do Amapá'], ['AM', 'do Amazonas'], ['BA', 'da Bahia'],
+  ['CE', 'do Ceará'], ['DF', 'do Distrito Federal e dos Territórios'], ['ES', 'do Espírito Santo'], ['GO', 'de Goiás'],
+  ['MA', 'do Maranhão'], ['MT', 'de Mato Grosso'], ['MS', 'de Mato Grosso do Sul'], ['MG', 'de Minas Gerais'],
+  ['PA', 'do Pará'], ['PB', 'da Paraíba'], ['PR', 'do Paraná'], ['PE', 'de Pernambuco'], ['PI', 'do Piauí'],
+  ['RJ', 'do Rio de Janeiro'], ['RN', 'do Rio Grande do Norte'], ['RS', 'do Rio Grande do Sul'], ['RO', 'de Rondônia'],
+  ['RR', 'de Roraima'], ['SC', 'de Santa Catarina'], ['SE', 'de Sergipe'], ['SP', 'de São Paulo'], ['TO', 'do Tocantins']
+];
+
+const TRF_UFS = [
+  ['AC', 'AM', 'AP', 'BA', 'DF', 'GO', 'MA', 'MT', 'PA', 'PI', 'RO', 'RR', 'TO'],
+  ['ES', 'RJ'], ['MS', 'SP'], ['PR', 'RS', 'SC'], ['AL', 'CE', 'PB', 'PE', 'RN', 'SE'], ['MG']
+];
+
+const TRT_UFS = [
+  ['RJ'], ['SP'], ['MG'], ['RS'], ['BA'], ['PE'], ['CE'], ['PA', 'AP'], ['PR'], ['DF', 'TO'], ['AM', 'RR'], ['SC'],
+  ['PB'], ['RO', 'AC'], ['SP'], ['MA'], ['ES'], ['GO'], ['AL'], ['SE'], ['RN'], ['PI'], ['MT'], ['MS']
+];
+
+const CJM_UFS = [
+  ['RJ', 'ES'], ['SP'], ['RS'], ['MG'], ['PR', 'SC'], ['BA', 'SE'], ['PE', 'RN', 'PB', 'AL'], ['PA', 'AP', 'MA'],
+  ['MS', 'MT'], ['CE', 'PI'], ['DF', 'GO', 'TO'], ['AM', 'AC', 'RO', 'RR']
+];
+
+const TJM = { 13: 'MG', 21: 'RS', 26: 'SP' };
+
+const tr = (n) => String(n).padStart(2, '0');
+
+function entry(codigo, sigla, nome, ramo, { ufs = [], regiao = null, superior = false } = {}) {
+  return { codigo, sigla, nome, ramo, regiao, ufs, superior };
+}
+
+// codigo "J.TR" → tribunal
+export const TRIBUNAIS = Object.fromEntries([
+  entry('1.00', 'STF', 'Supremo Tribunal Federal', 'superior', { superior: true }),
+  entry('2.00', 'CNJ', 'Conselho Nacional de Justiça', 'superior', { superior: true }),
+  entry('3.00', 'STJ', 'Superior Tribunal de Justiça', 'superior', { superior: true }),
+  entry('4.90', 'CJF', 'Conselho da Justiça Federal', 'federal', { superior: true }),
+  ...TRF_UFS.map((ufs, i) => entry(`4.${tr(i + 1)}`, `TRF${i + 1}`, `Tribunal Regional Federal da ${i + 1}ª Região`, 'federal', { ufs, regiao: `${i + 1}ª Região` })),
+  entry('5.00', 'TST', 'Tribunal Superior do Trabalho', 'trabalho', { superior: true }),
+  entry('5.90', 'CSJT', 'Conselho Superior da Justiça do Trabalho', 'trabalho', { superior: true }),
+  ...TRT_UFS.map((ufs, i) => entry(`5.${tr(i + 1)}`, `TRT${i + 1}`, `Tribunal Regional do Trabalho da ${i + 1}ª Região`, 'trabalho', { ufs, regiao: `${i + 1}ª Região` })),
+  entry('6.00', 'TSE', 'Tribunal Superior Eleitoral', 'eleitoral', { superior: true }),
+  ...ESTADOS.map(([uf, de], i) => entry(`6.${tr(i + 1)}`, `TRE-${uf}`, `Tribunal Regional Eleitoral ${de}`, 'eleitoral', { ufs: [uf] })),
+  entry('7.00', 'STM', 'Superior Tribunal Militar', 'militar', { superior: true }),
+  ...CJM_UFS.map((ufs, i) => entry(`7.${tr(i + 1)}`, `${i + 1}ª CJM`, `Justiça Militar da União - ${i + 1}ª Circunscrição Judiciária Militar`, 'militar', { ufs, regiao: `${i + 1}ª CJM` })),
+  ...ESTADOS.map(([uf, de], i) => entry(
+    `8.${tr(i + 1)}`, uf === 'DF' ? 'TJDFT' : `TJ${uf}`,
+    uf === 'DF' ? `Tribunal de Justiça ${de}` : `Tribunal de Justiça do Estado ${de}`, 'estadual', { ufs: [uf] }
+  )),
+  ...Object.entries(TJM).map(([n, uf]) => entry(
+    `9.${tr(n)}`, `TJM${uf}`, `Tribunal de Justiça Militar do Estado ${ESTADOS.find(([u]) => u === uf)[1]}`, 'militar_estadual', { ufs: [uf] }
+  ))
+].map((t) => [t.codigo, t]));
+
+// "TRT-05", "trt5", "TJ-BA", "TRE SP" → "TRT5", "TJBA", "TRESP"
+function siglaKey(sigla) {
+  return String(sigla || '').toUpperCase().replace(/[^A-Z0-9]/g, '').replace(/([A-Z])0+(\d)/g, '$1$2');
+}
+
+const BY_SIGLA = new Map(Object.values(TRIBUNAIS).map((t) => [siglaKey(t.sigla), t]));
+BY_SIGLA.set('TJDF', TRIBUNAIS['8.07']);
+for (let i = 1; i <= CJM_UFS.length; i += 1) BY_SIGLA.set(`CJM${i}`, TRIBUNAIS[`7.${tr(i)}`]);
+
+// Instância padronizada (processo.instancia, instancias[].instancia) e o rótulo usado na fonte
+export const INSTANCIAS = {
+  PRIMEIRO_GRAU: '1º grau',
+  SEGUNDO_GRAU: '2º grau',
+  JUIZADO_ESPECIAL: 'Juizado Especial',
+  TURMA_RECURSAL: 'Turma Recursal',
+  TRIBUNAL_SUPERIOR: null // o nome do tribunal já diz a instância
+};
+
+export function findTribunal(sigla) {
+  return BY_SIGLA.get(siglaKey(sigla)) || null;
+}
+
+export function tribunalFromCnj(cnj) {
+  const parsed = typeof cnj === 'object' && cnj ? cnj : parseCnj(cnj);
+  return parsed?.valid ? TRIBUNAIS[`${parsed.segmento}.${parsed.tribunal}`] || null : null;
+}
+
+// Instância informada pela JUDIT (1, "2", "SEGUNDO_GRAU", "Turma Recursal"...) → enum; null se não der para dizer
+function instanciaFromJudit(raw, orgao) {
+  const text = normalize(`${raw ?? ''} ${orgao ?? ''}`);
+  if (/turma recursal|colegio recursal/.test(text)) return 'TURMA_RECURSAL';
+  if (/juizado|\bjec\b|\bjef\b/.test(text)) return 'JUIZADO_ESPECIAL';
+  const value = normalize(raw).trim();
+  if (/^(1|1o|primeir[oa]|primeiro_grau|first)\b/.test(value)) return 'PRIMEIRO_GRAU';
+  if (/^(2|2o|segund[oa]|segundo_grau|second)\b/.test(value)) return 'SEGUNDO_GRAU';
+  if (/^(3|superior|tribunal_superior|third)\b/.test(value)) return 'TRIBUNAL_SUPERIOR';
+  return null;
+}
+
+// Pelo número CNJ: OOOO = 0000 é competência originária do tribunal; 9xxx, turma recursal
+function instanciaFromCnj(parsed, tribunal) {
+  if (!parsed?.valid) return null;
+  if (tribunal?.superior) return 'TRIBUNAL_SUPERIOR';
+  if (parsed.origem === '0000') return 'SEGUNDO_GRAU';
+  if (parsed.origem.startsWith('9') && (parsed.segmento === 4 || parsed.segmento === 8)) return 'TURMA_RECURSAL';
+  return 'PRIMEIRO_GRAU';
+}
+
+/**
+ * Tribunal e instância de um processo (ou de uma instância dele):
+ * { sigla, nome, ramo, regiao, uf, instancia, fonte } — campos vazios da JUDIT completados pelo CNJ.
+ * O CNJ só vale quando aponta para o mesmo tribunal: no STJ o processo mantém o número de origem.
+ */
+export function describeTribunal({ tribunal = null, instancia = null, orgao = null, cnj = null } = {}) {
+  const parsed = cnj ? parseCnj(cnj) : null;
+  const fromCnj = tribunalFromCnj(parsed);
+  const fromSigla = tribunal ? findTribunal(tribunal) : null;
+  const catalog = fromSigla || (tribunal ? null : fromCnj);
+  const sameAsCnj = !!catalog && catalog === fromCnj;
+
+  const sigla = catalog?.sigla || tribunal || null;
+  const enumInstancia = catalog?.superior
+    ? 'TRIBUNAL_SUPERIOR'
+    : instanciaFromJudit(instancia, orgao) || (sameAsCnj ? instanciaFromCnj(parsed, catalog) : null);
+
+  let fonte = null;
+  if (sigla) {
+    const label = enumInstancia === 'TRIBUNAL_SUPERIOR' ? catalog?.nome : INSTANCIAS[enumInstancia];
+    fonte = label ? `${sigla} - ${label}` : sigla;
+  }
+
+  return {
+    sigla,
+    nome: catalog?.nome || null,
+    ramo: catalog?.ramo || null,
+    regiao: catalog?.regiao || null,
+    uf: catalog?.ufs.length === 1 ? catalog.ufs[0] : null,
+    instancia: enumInstancia,
+    fonte
+  };
+}
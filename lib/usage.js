@@ -0,0 +1,76 @@
+// lib/usage.js
+// Livro de uso por tenant e dia (horário de Brasília), base do faturamento de cada escritório:
+// buscas criadas, buscas on_demand, respostas cached_response da JUDIT, buscas com anexos, anexos baixados,
+// monitoramentos criados e respostas servidas pelo cache do proxy (sem custo na JUDIT).
+
+import { registerRequestTenant } from './callbacks.js';
+import { createRequest } from './judit.js';
+import { getStore } from './store.js';
+
+export const USAGE_COUNTERS = [
+  'buscas', 'on_demand', 'cached_response', 'anexos', 'anexos_baixados', 'monitoramentos', 'cache_proxy'
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BRT_OFFSET_MS = 3 * 60 * 60 * 1000; // UTC-3, sem horário de verão
+const LEDGER_TTL_MS = 400 * DAY_MS;
+const SEEN_TTL_MS = DAY_MS;
+
+// 'YYYY-MM-DD' no horário de Brasília
+export function usageDay(ms = Date.now()) {
+  return new Date(ms - BRT_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+function emptyCounters() {
+  return Object.fromEntries(USAGE_COUNTERS.map((k) => [k, 0]));
+}
+
+// Soma contadores no dia (read-modify-write: aproximado sob concorrência, como o rate limit)
+export async function recordUsage(tenantId, counts, at = Date.now()) {
+  const store = getStore();
+  const key = `usage:${tenantId}:${usageDay(at)}`;
+  const current = { ...emptyCounters(), ...((await store.get(key)) || {}) };
+  let changed = false;
+  for (const [k, v] of Object.entries(counts)) {
+    if (!USAGE_COUNTERS.includes(k) || !v) continue;
+    current[k] += v;
+    changed = true;
+  }
+  if (changed) await store.set(key, current, LEDGER_TTL_MS);
+}
+
+// createRequest com a chave do tenant + dono do request_id (callbacks) + lançamento no livro de uso
+export async function createTenantRequest({ tenant, onDemand = false, withAttachments = false, ...args }) {
+  const created = await createRequest({ ...args, apiKey: tenant.apiKey, onDemand, withAttachments });
+  if (created?.request_id) {
+    await registerRequestTenant(created.request_id, tenant.id);
+    await recordUsage(tenant.id, { buscas: 1, on_demand: onDemand ? 1 : 0, anexos: withAttachments ? 1 : 0 });
+  }
+  return created;
+}
+
+// Resultado entregue: cache do proxy conta a cada resposta; cached_response da JUDIT, uma vez por request_id
+export async function recordCompletion(tenant, requestId, poll) {
+  if (poll?.cache?.hit) return recordUsage(tenant.id, { cache_proxy: 1 });
+  if (!poll?.isCompleted || !requestId) return;
+
+  const store = getStore();
+  if (await store.get(`usage-seen:${requestId}`)) return;
+  await store.set(`usage-seen:${requestId}`, true, SEEN_TTL_MS);
+  if (poll.completed?.tags?.cached_response) await recordUsage(tenant.id, { cached_response: 1 });
+}
+
+// { tenant, total, dias: [{ data, ...contadores }] } entre de e ate (inclusive, 'YYYY-MM-DD')
+export async function readUsage(tenantId, { de, ate }) {
+  const store = getStore();
+  const total = emptyCounters();
+  const dias = [];
+  for (let t = Date.parse(`${de}T00:00:00Z`); t <= Date.parse(`${ate}T00:00:00Z`); t += DAY_MS) {
+    const data = new Date(t).toISOString().slice(0, 10);
+    const counters = await store.get(`usage:${tenantId}:${data}`);
+    if (!counters) continue;
+    for (const k of USAGE_COUNTERS) total[k] += counters[k] || 0;
+    dias.push({ data, ...emptyCounters(), ...counters });
+  }
+  return { tenant: tenantId, total, dias };
+}
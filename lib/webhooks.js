@@ -0,0 +1,264 @@
+// lib/webhooks.js
+// Encaminhamento do resultado normalizado para o callbackUrl do cliente:
+// assinado com HMAC-SHA256 (PROXY_WEBHOOK_SECRET), com retentativas e log de entregas por request_id.
+
+import { createHmac, randomUUID } from 'node:crypto';
+import { lookup } from 'node:dns/promises';
+import { request as httpsRequest } from 'node:https';
+import { BlockList, isIP } from 'node:net';
+import { callbackToPoll, getCallback } from './callbacks.js';
+import { runInBackground, sleep } from './http.js';
+import { lawsuitFromPoll } from './instances.js';
+import { buildFullPayload, buildMinimalPayload, emptyMinimalPayload } from './payload.js';
+import { redactPoll } from './redaction.js';
+import { getStore } from './store.js';
+
+const SUBSCRIPTION_TTL_MS = 24 * 60 * 60 * 1000;
+const LOG_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const ATTEMPT_TIMEOUT_MS = 10000;
+// Uma assinatura reservada para entrega volta a ficar disponível depois disso (processo caiu no meio da entrega)
+const CLAIM_TTL_MS = 5 * 60 * 1000;
+
+export function webhookSecret() {
+  return process.env.PROXY_WEBHOOK_SECRET || null;
+}
+
+// Endereços que o proxy nunca chama: loopback, link-local (metadados de nuvem), faixas privadas e CGNAT
+const BLOCKED_ADDRESSES = new BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]
+].forEach(([net, prefix]) => BLOCKED_ADDRESSES.addSubnet(net, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]]
+  .forEach(([net, prefix]) => BLOCKED_ADDRESSES.addSubnet(net, prefix, 'ipv6'));
+
+function isBlockedAddress(address) {
+  const family = isIP(address);
+  if (!family) return false;
+  const mapped = family === 6 && /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+  return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function isBlockedHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.local') || host.endsWith('.internal')) return true;
+  return isBlockedAddress(host);
+}
+
+// Só https e host público: o proxy envia dados de processos para essa URL
+export function isValidCallbackUrl(value) {
+  try {
+    const u = new URL(value);
+    return u.protocol === 'https:' && !!u.hostname && !isBlockedHost(u.hostname);
+  } catch (_) {
+    return false;
+  }
+}
+
+// Confere na entrega também o endereço resolvido pelo DNS (nome público apontando para rede interna).
+// Retorna { address, family } para a conexão usar exatamente esse endereço, ou null.
+async function resolvePublicAddress(value) {
+  if (!isValidCallbackUrl(value)) return null;
+  const host = new URL(value).hostname.replace(/^\[|\]$/g, '');
+  if (isIP(host)) return { address: host, family: isIP(host) };
+  try {
+    const addresses = await lookup(host, { all: true });
+    if (!addresses.length || addresses.some((a) => isBlockedAddress(a.address))) return null;
+    return addresses[0];
+  } catch (_) {
+    return null;
+  }
+}
+
+// POST https no endereço já conferido (sem nova consulta ao DNS, que poderia apontar para outro lugar).
+// Não segue redirecionamentos: devolve { status } e o chamador trata 3xx como falha.
+function postPinned(url, { address, family }, { headers, body, timeoutMs }) {
+  const u = new URL(url);
+  return new Promise((resolve, reject) => {
+    const req = httpsRequest({
+      method: 'POST',
+      hostname: u.hostname.replace(/^\[|\]$/g, ''),
+      port: u.port || 443,
+      path: `${u.pathname}${u.search}`,
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: (_host, options, cb) => (options?.all ? cb(null, [{ address, family }]) : cb(null, address, family)),
+      timeout: timeoutMs
+    }, (res) => {
+      res.resume();
+      res.on('end', () => resolve({ status: res.statusCode }));
+      res.on('error', reject);
+    });
+    req.on('timeout', () => req.destroy(Object.assign(new Error('timeout'), { name: 'AbortError' })));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// Assinatura: hex(HMAC-SHA256(secret, `${timestamp}.${body}`)) — enviada como "sha256=<hex>"
+export function signPayload(body, timestamp, secret = webhookSecret()) {
+  return createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Vários clientes podem aguardar o mesmo request_id (coalescência em lib/cache.js)
+// lgpd: política de redação do cliente no momento do registro (lib/redaction.js), aplicada na entrega
+export async function registerWebhook({ requestId, url, cnj, view = 'min', includeAttachments = false, lgpd = null }) {
+  const store = getStore();
+  const subs = (await store.get(`webhook:${requestId}`)) || [];
+  subs.push({
+    id: randomUUID(), url, cnj: cnj || null, view, includeAttachments: !!includeAttachments, lgpd: lgpd || null,
+    createdAt: new Date().toISOString()
+  });
+  await store.set(`webhook:${requestId}`, subs, SUBSCRIPTION_TTL_MS);
+
+  // O callback da JUDIT pode ter chegado antes do registro
+  const record = await getCallback(requestId);
+  const poll = record ? callbackToPoll(record) : null;
+  if (poll?.isCompleted) await scheduleWebhooks(requestId, poll);
+}
+
+// O cliente já recebeu o resultado completo na própria resposta HTTP — não há o que encaminhar
+export async function dropWebhook(requestId, url) {
+  const store = getStore();
+  const subs = (await store.get(`webhook:${requestId}`)) || [];
+  const rest = subs.filter((s) => s.url !== url);
+  if (rest.length) await store.set(`webhook:${requestId}`, rest, SUBSCRIPTION_TTL_MS);
+  else await store.delete(`webhook:${requestId}`);
+}
+
+export async function getDeliveries(requestId) {
+  return (await getStore().get(`deliveries:${requestId}`)) || [];
+}
+
+async function logDelivery(requestId, entry) {
+  const store = getStore();
+  const log = await getDeliveries(requestId);
+  log.push({ ...entry, at: new Date().toISOString() });
+  await store.set(`deliveries:${requestId}`, log, LOG_TTL_MS);
+}
+
+// poll já redigido (lib/redaction.js); refused: processo acima do sigilo permitido ao cliente
+function buildWebhookData(sub, poll, { report = null, refused = false } = {}) {
+  const { lawsuit, instances } = lawsuitFromPoll(poll);
+  if (sub.view === 'full') {
+    return buildFullPayload({
+      cnj: sub.cnj, lawsuit,
+      error: refused ? { codigo: 'SEGREDO_DE_JUSTICA', message: 'Processo acima do nível de sigilo permitido ao cliente.' } : null,
+      meta: {
+        request_status: poll.requestStatus, is_partial: !refused && !poll.isCompleted,
+        cached_response: !!poll.completed?.tags?.cached_response, lgpd: report
+      }
+    }, { includeAttachments: sub.includeAttachments, instances });
+  }
+  return refused ? emptyMinimalPayload(sub.cnj) : buildMinimalPayload({ cnj: sub.cnj, lawsuit });
+}
+
+function isRetryable(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+// Reserva as assinaturas pendentes do request_id (as já reservadas por outra entrega em curso ficam de fora)
+async function claimSubscriptions(requestId) {
+  const store = getStore();
+  const subs = (await store.get(`webhook:${requestId}`)) || [];
+  const now = Date.now();
+  const claimed = subs.filter((s) => !s.claimedAt || now - s.claimedAt > CLAIM_TTL_MS);
+  if (!claimed.length) return [];
+  const ids = new Set(claimed.map((s) => s.id));
+  await store.set(`webhook:${requestId}`, subs.map((s) => (ids.has(s.id) ? { ...s, claimedAt: now } : s)), SUBSCRIPTION_TTL_MS);
+  return claimed;
+}
+
+// Entregue ou sem tentativas restantes: a assinatura sai do store
+async function releaseSubscription(requestId, id) {
+  const store = getStore();
+  const rest = ((await store.get(`webhook:${requestId}`)) || []).filter((s) => s.id !== id);
+  if (rest.length) await store.set(`webhook:${requestId}`, rest, SUBSCRIPTION_TTL_MS);
+  else await store.delete(`webhook:${requestId}`);
+}
+
+// Entrega o resultado aos assinantes reservados, em paralelo. Retorna [{ url, status }].
+// Cada assinatura fica no store até ser entregue ou esgotar as tentativas.
+async function deliverClaimed(requestId, subs, poll) {
+  return Promise.all(subs.map(async (sub) => {
+    const status = await deliverOne(requestId, sub, poll);
+    await releaseSubscription(requestId, sub.id);
+    return { url: sub.url, status };
+  }));
+}
+
+// Reserva as assinaturas e entrega em segundo plano, sem segurar a resposta (callback da JUDIT, registro).
+// Retorna quantas entregas foram agendadas.
+export async function scheduleWebhooks(requestId, poll) {
+  const subs = await claimSubscriptions(requestId);
+  if (subs.length) runInBackground(deliverClaimed(requestId, subs, poll));
+  return subs.length;
+}
+
+async function deliverOne(requestId, sub, poll) {
+  const secret = webhookSecret();
+  const maxAttempts = Math.max(1, parseInt(process.env.PROXY_WEBHOOK_MAX_ATTEMPTS || '4', 10) || 4);
+  const backoffMs = Math.max(100, parseInt(process.env.PROXY_WEBHOOK_BACKOFF_MS || '1000', 10) || 1000);
+
+  const deliveryId = randomUUID();
+  const redacted = redactPoll(poll, sub.lgpd);
+  const body = JSON.stringify({
+    event: 'movimentacoes.completed',
+    delivery_id: deliveryId,
+    request_id: requestId,
+    cnj: sub.cnj,
+    view: sub.view,
+    ...(redacted.report ? { lgpd: redacted.report } : {}),
+    data: buildWebhookData(sub, redacted.poll, redacted)
+  });
+
+  const target = await resolvePublicAddress(sub.url);
+  if (!target) {
+    await logDelivery(requestId, {
+      delivery_id: deliveryId, attempt: 0, url: sub.url, status: 'failed', http_status: null, error: 'host não permitido'
+    });
+    return 'failed';
+  }
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    let httpStatus = null;
+    let error = null;
+
+    try {
+      const res = await postPinned(sub.url, target, {
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Proxy-Event': 'movimentacoes.completed',
+          'X-Proxy-Delivery-Id': deliveryId,
+          'X-Proxy-Timestamp': timestamp,
+          ...(secret ? { 'X-Proxy-Signature': `sha256=${signPayload(body, timestamp, secret)}` } : {})
+        },
+        body,
+        timeoutMs: ATTEMPT_TIMEOUT_MS
+      });
+      httpStatus = res.status;
+      if (httpStatus >= 200 && httpStatus < 300) {
+        await logDelivery(requestId, { delivery_id: deliveryId, attempt, url: sub.url, status: 'delivered', http_status: httpStatus });
+        return 'delivered';
+      }
+      // Redirecionamento poderia levar o corpo assinado a um host não conferido
+      if (httpStatus >= 300 && httpStatus < 400) error = 'redirecionamento recusado';
+    } catch (err) {
+      error = err?.name === 'AbortError' ? 'timeout' : err?.message || String(err);
+    }
+
+    const retry = attempt < maxAttempts && (httpStatus == null || isRetryable(httpStatus));
+    await logDelivery(requestId, {
+      delivery_id: deliveryId, attempt, url: sub.url,
+      status: retry ? 'retrying' : 'failed', http_status: httpStatus, error
+    });
+    if (!retry) break;
+
+    // backoff exponencial com jitter
+    const delay = backoffMs * 2 ** (attempt - 1);
+    await sleep(delay / 2 + Math.random() * (delay / 2));
+  }
+
+  return 'failed';
+}
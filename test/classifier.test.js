@@ -0,0 +1,58 @@
+// test/classifier.test.js
+// Classificação das movimentações por regras sobre o texto e filtros tipo/relevantes (lib/classifier.js)
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { classifyMovement, filterSteps, lastRelevantStep, readMovementFilters } from '../lib/classifier.js';
+
+describe('classifyMovement', () => {
+  const cases = [
+    ['Certificado o trânsito em julgado da sentença', 'TRANSITO_EM_JULGADO', true],
+    ['Autos arquivados definitivamente', 'ARQUIVAMENTO', true],
+    ['Acórdão publicado', 'ACORDAO', true],
+    ['Conclusos para sentença', 'CONCLUSAO', false],
+    ['Julgo procedente o pedido', 'SENTENCA', true],
+    ['Audiência de conciliação designada', 'AUDIENCIA', true],
+    ['Expedida carta de citação', 'CITACAO', true],
+    ['Intime-se a parte autora', 'INTIMACAO', true],
+    ['Interposto recurso de apelação', 'RECURSO', true],
+    ['Tutela de urgência deferida', 'DECISAO', true],
+    ['Despacho de mero expediente', 'DESPACHO', false],
+    ['Juntada de petição', 'JUNTADA', false],
+    ['Distribuído por sorteio', 'DISTRIBUICAO', false],
+    ['Remetidos os autos ao contador', 'ANDAMENTO', false],
+    ['', 'ANDAMENTO', false]
+  ];
+  for (const [content, tipo, relevante] of cases) {
+    it(`"${content}" → ${tipo}`, () => {
+      assert.deepEqual(classifyMovement(content), { tipo, relevante });
+    });
+  }
+});
+
+describe('filtros', () => {
+  const steps = [
+    { step_id: '3', content: 'Juntada de petição' },
+    { step_id: '2', content: 'Sentença proferida' },
+    { step_id: '1', content: 'Decisão liminar' }
+  ];
+
+  it('readMovementFilters normaliza e recusa tipos desconhecidos', () => {
+    assert.deepEqual(readMovementFilters(new URLSearchParams('tipo=sentença,decisão&relevantes=1')), {
+      tipos: ['SENTENCA', 'DECISAO'], relevantes: true, ultimaRelevante: false, error: null
+    });
+    assert.match(readMovementFilters(new URLSearchParams('tipo=foo')).error, /"tipo" inválido \(FOO\)/);
+    assert.equal(readMovementFilters(new URLSearchParams('ultima=relevante')).ultimaRelevante, true);
+  });
+
+  it('filterSteps por tipo e por relevância', () => {
+    assert.deepEqual(filterSteps(steps, { tipos: ['DECISAO'] }).map((s) => s.step_id), ['1']);
+    assert.deepEqual(filterSteps(steps, { relevantes: true }).map((s) => s.step_id), ['2', '1']);
+    assert.equal(filterSteps(steps, {}), steps);
+  });
+
+  it('lastRelevantStep pula as movimentações não relevantes', () => {
+    assert.equal(lastRelevantStep(steps).step_id, '2');
+    assert.equal(lastRelevantStep([steps[0]]), null);
+  });
+});
@@ -0,0 +1,69 @@
+// test/cnj.test.js
+// Numeração única CNJ: dígito verificador módulo 97 e decodificação (lib/cnj.js)
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { computeCheckDigits, describeCnj, parseCnj } from '../lib/cnj.js';
+
+describe('computeCheckDigits', () => {
+  it('DD = 98 - (NNNNNNN AAAA J TR OOOO 00 mod 97)', () => {
+    assert.equal(computeCheckDigits({ sequencial: '8030912', ano: '2022', segmento: '8', tribunal: '05', origem: '0080' }), '11');
+  });
+
+  it('completa com zero à esquerda', () => {
+    const fields = { ano: '2022', segmento: '8', tribunal: '05', origem: '0080' };
+    for (let n = 0; n < 200; n++) {
+      const sequencial = String(n).padStart(7, '0');
+      assert.match(computeCheckDigits({ sequencial, ...fields }), /^\d{2}$/);
+    }
+  });
+});
+
+describe('parseCnj', () => {
+  it('aceita a forma formatada e os 20 dígitos', () => {
+    const formatted = parseCnj('8030912-11.2022.8.05.0080');
+    const digits = parseCnj(' 80309121120228050080 ');
+    assert.equal(formatted.valid, true);
+    assert.equal(digits.formatted, '8030912-11.2022.8.05.0080');
+    assert.equal(digits.digits, '80309121120228050080');
+    assert.equal(digits.segmento, 8);
+    assert.equal(digits.tribunal, '05');
+    assert.equal(digits.origem, '0080');
+  });
+
+  it('sequencial curto na forma formatada ganha zeros à esquerda', () => {
+    const dv = computeCheckDigits({ sequencial: '0000123', ano: '2021', segmento: '8', tribunal: '26', origem: '0100' });
+    assert.equal(parseCnj(`123-${dv}.2021.8.26.0100`).formatted, `0000123-${dv}.2021.8.26.0100`);
+  });
+
+  it('dígito verificador errado', () => {
+    const r = parseCnj('8030912-12.2022.8.05.0080');
+    assert.equal(r.valid, false);
+    assert.equal(r.error.code, 'CNJ_DIGITO_INVALIDO');
+    assert.match(r.error.message, /esperado 11/);
+  });
+
+  it('códigos de erro por tipo de problema', () => {
+    assert.equal(parseCnj('').error.code, 'CNJ_AUSENTE');
+    assert.equal(parseCnj('123').error.code, 'CNJ_TAMANHO_INVALIDO');
+    assert.equal(parseCnj('abc').error.code, 'CNJ_FORMATO_INVALIDO');
+    assert.equal(parseCnj('0000001-45.2020.0.05.0001').error.code, 'CNJ_SEGMENTO_INVALIDO');
+    assert.equal(parseCnj('0000001-45.1800.8.05.0001').error.code, 'CNJ_ANO_INVALIDO');
+  });
+});
+
+describe('describeCnj', () => {
+  it('campos de processo.cnj_decodificado; null quando inválido', () => {
+    assert.deepEqual(describeCnj(parseCnj('8030912-11.2022.8.05.0080')), {
+      numero: '8030912-11.2022.8.05.0080',
+      sequencial: '8030912',
+      digito_verificador: '11',
+      ano: 2022,
+      segmento: 8,
+      segmento_nome: 'Justiça dos Estados e do Distrito Federal e Territórios',
+      tribunal: '05',
+      origem: '0080'
+    });
+    assert.equal(describeCnj(parseCnj('123')), null);
+  });
+});
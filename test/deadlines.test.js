@@ -0,0 +1,77 @@
+// test/deadlines.test.js
+// Calendário forense (lib/calendar.js) e prazos estimados das movimentações (lib/deadlines.js)
+
+import assert from 'node:assert/strict';
+import { before, describe, it } from 'node:test';
+
+let calendar;
+let deadlines;
+
+before(async () => {
+  process.env.PROXY_FERIADOS = JSON.stringify({ BA: ['07-02'], TJSP: ['2025-03-20'] });
+  calendar = await import('../lib/calendar.js');
+  deadlines = await import('../lib/deadlines.js');
+});
+
+describe('calendário', () => {
+  it('feriados nacionais móveis (carnaval, sexta-feira santa, Corpus Christi)', () => {
+    const days = calendar.nationalHolidays(2025);
+    for (const day of ['2025-03-03', '2025-03-04', '2025-04-18', '2025-06-19', '2025-11-20']) assert.ok(days.has(day), day);
+    assert.equal(calendar.nationalHolidays(2023).has('2023-11-20'), false);
+  });
+
+  it('fim de semana, recesso e feriados configurados por UF/tribunal', () => {
+    assert.equal(calendar.isBusinessDay('2025-03-15'), false);
+    assert.equal(calendar.isBusinessDay('2025-12-22'), false);
+    assert.equal(calendar.isBusinessDay('2025-01-20'), false);
+    assert.equal(calendar.isBusinessDay('2025-01-21'), true);
+    assert.equal(calendar.isBusinessDay('2025-07-02', { uf: 'BA' }), false);
+    assert.equal(calendar.isBusinessDay('2025-07-02', { uf: 'SP' }), true);
+    assert.equal(calendar.isBusinessDay('2025-03-20', { tribunal: 'TJSP' }), false);
+  });
+
+  it('addBusinessDays não conta o próprio dia e pula o recesso', () => {
+    assert.equal(calendar.addBusinessDays('2025-03-14', 5), '2025-03-21');
+    assert.equal(calendar.addBusinessDays('2025-12-19', 1), '2026-01-21');
+  });
+});
+
+describe('detectDeadline', () => {
+  const step = (content, step_date = '2025-03-14T12:00:00Z') => ({ step_id: 's1', step_date, content });
+
+  it('prazo informado no texto, em dias úteis', () => {
+    const d = deadlines.detectDeadline(step('Intimação eletrônica. Prazo de 15 (quinze) dias.'));
+    assert.equal(d.evento, 'INTIMACAO');
+    assert.equal(d.dias, 15);
+    assert.equal(d.origem, 'texto');
+    assert.equal(d.contagem, 'dias_uteis');
+    assert.equal(d.inicio, '2025-03-17');
+    assert.equal(d.vencimento, '2025-04-04');
+  });
+
+  it('disponibilização no DJe: publicação no dia útil seguinte; dias corridos', () => {
+    const d = deadlines.detectDeadline(step('Decisão disponibilizada no DJe. Intime-se. Prazo de 10 dias corridos.', '2025-03-13T12:00:00Z'));
+    assert.equal(d.contagem, 'dias_corridos');
+    assert.equal(d.inicio, '2025-03-17');
+    assert.equal(d.vencimento, '2025-03-26');
+  });
+
+  it('feriado do tribunal adia o vencimento', () => {
+    const d = deadlines.detectDeadline(step('Intimação. Prazo de 5 dias.'), { tribunal: 'TJSP' });
+    assert.equal(d.vencimento, '2025-03-24');
+  });
+
+  it('prazo padrão do CPC quando o texto não informa', () => {
+    const d = deadlines.detectDeadline(step('Citação realizada pelo correio.'));
+    assert.equal(d.evento, 'CITACAO');
+    assert.equal(d.dias, 15);
+    assert.equal(d.origem, 'padrao');
+    assert.match(d.fundamento, /335/);
+  });
+
+  it('ato só expedido ou prazo decorrido não abre prazo', () => {
+    assert.equal(deadlines.detectDeadline(step('Citação expedida.')), null);
+    assert.equal(deadlines.detectDeadline(step('Decorrido o prazo da intimação.')), null);
+    assert.equal(deadlines.detectDeadline(step('Juntada de petição.')), null);
+  });
+});
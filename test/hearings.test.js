@@ -0,0 +1,65 @@
+// test/hearings.test.js
+// Extração de audiências do texto das movimentações (lib/hearings.js)
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { extractHearing, extractHearings } from '../lib/hearings.js';
+
+const step = (content, extra = {}) => ({ step_id: 's1', step_date: '2025-03-02T10:00:00Z', content, ...extra });
+
+describe('extractHearing', () => {
+  it('data que segue "designada para", não a da publicação', () => {
+    const h = extractHearing(step('Intimação publicada em 02/03/2025. Audiência de conciliação designada para 15/04/2025 às 14:00.'));
+    assert.equal(h.data, '2025-04-15');
+    assert.equal(h.hora, '14:00');
+    assert.equal(h.inicio, '2025-04-15T14:00:00-03:00');
+    assert.equal(h.tipo, 'CONCILIACAO');
+    assert.equal(h.situacao, 'designada');
+    assert.equal(h.data_anterior, null);
+  });
+
+  it('redesignação: data_anterior é a data depois de "de", não a da publicação', () => {
+    const h = extractHearing(step(
+      'Intimação publicada em 02/03/2025. Audiência de instrução redesignada de 10/04/2025 para 20/05/2025 às 9h30.'
+    ));
+    assert.equal(h.data, '2025-05-20');
+    assert.equal(h.hora, '09:30');
+    assert.equal(h.tipo, 'INSTRUCAO');
+    assert.equal(h.data_anterior, '2025-04-10');
+  });
+
+  it('redesignação sem a data antiga no texto: data_anterior null', () => {
+    const h = extractHearing(step('Publicada em 02/03/2025. Audiência redesignada para 20/05/2025.'));
+    assert.equal(h.data, '2025-05-20');
+    assert.equal(h.data_anterior, null);
+  });
+
+  it('data por extenso e link da sala virtual', () => {
+    const h = extractHearing(step('Audiência UNA marcada para 7 de maio de 2025, 10h, por videoconferência: https://meet.exemplo.jus.br/sala1.'));
+    assert.equal(h.data, '2025-05-07');
+    assert.equal(h.hora, '10:00');
+    assert.equal(h.tipo, 'UNA');
+    assert.equal(h.modalidade, 'virtual');
+    assert.equal(h.link, 'https://meet.exemplo.jus.br/sala1');
+  });
+
+  it('sem audiência ou sem data: null', () => {
+    assert.equal(extractHearing(step('Juntada de petição em 02/03/2025.')), null);
+    assert.equal(extractHearing(step('Audiência a designar.')), null);
+  });
+});
+
+describe('extractHearings', () => {
+  it('a designação antiga vira "redesignada" com nova_data', () => {
+    const list = extractHearings([
+      step('Audiência de instrução redesignada de 10/04/2025 para 20/05/2025.', { step_id: 's2', step_date: '2025-03-20T10:00:00Z' }),
+      step('Publicada em 02/03/2025. Audiência de instrução designada para 10/04/2025.', { step_id: 's1' })
+    ]);
+    const old = list.find((h) => h.data === '2025-04-10');
+    const current = list.find((h) => h.data === '2025-05-20');
+    assert.equal(old.situacao, 'redesignada');
+    assert.equal(old.nova_data, '2025-05-20');
+    assert.equal(current.situacao, 'designada');
+    assert.equal(current.data_anterior, '2025-04-10');
+  });
+});
@@ -0,0 +1,90 @@
+// test/history.test.js
+// Snapshots por processo e diff entre versões (lib/history.js), no store em memória
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { changedSections, diffSnapshots, listSnapshots, loadSnapshot, recordSnapshot } from '../lib/history.js';
+
+const CNJ = '8030912-11.2022.8.05.0080';
+
+const lawsuit = (extra = {}) => ({
+  code: CNJ,
+  instance: 1,
+  tribunal_acronym: 'TJBA',
+  phase: 'Conhecimento',
+  judge: 'Juiz A',
+  parties: [
+    { name: 'Maria da Silva', side: 'Active', person_type: 'Física', main_document: '12345678909', lawyers: [{ name: 'Dr. João', oab: 'BA12345' }] }
+  ],
+  steps: [{ step_id: 's1', step_date: '2025-01-01T10:00:00Z', content: 'Distribuído por sorteio' }],
+  ...extra
+});
+const poll = (response_data) => ({ isCompleted: true, responses: [{ response_data }] });
+
+describe('diffSnapshots', () => {
+  const view = (extra = {}) => ({
+    processo: { fase: 'Conhecimento', juiz: 'Juiz A', situacao: null, valor_causa: null, orgao: '1ª Vara' },
+    partes: [{ nome: 'Maria', polo: 'Active', documento: '123.456.789-09', advogados: [{ nome: 'Dr. João', oab: 'BA 12345' }] }],
+    movimentacoes: [{ id: 's1', data: '2025-01-01', conteudo: 'Distribuído' }],
+    ...extra
+  });
+
+  it('sem mudanças: tudo vazio', () => {
+    const diff = diffSnapshots(view(), view());
+    assert.deepEqual(changedSections(diff), []);
+  });
+
+  it('movimentações, partes, advogados e campos da capa', () => {
+    const after = view({
+      processo: { ...view().processo, juiz: 'Juiz B' },
+      partes: [
+        { nome: 'MARIA', polo: 'Active', documento: '12345678909', advogados: [{ nome: 'Dra. Ana', oab: 'BA54321' }] },
+        { nome: 'Empresa X', polo: 'Passive', documento: '12345678000190', advogados: [] }
+      ],
+      movimentacoes: [{ id: 's2', data: '2025-02-01', conteudo: 'Citação' }, { id: 's1', data: '2025-01-01', conteudo: 'Distribuído' }]
+    });
+    const diff = diffSnapshots(view(), after);
+    assert.deepEqual(diff.movimentacoes.novas.map((s) => s.id), ['s2']);
+    assert.deepEqual(diff.partes.adicionadas.map((p) => p.nome), ['Empresa X']);
+    assert.deepEqual(diff.partes.removidas, []);
+    assert.deepEqual(diff.advogados.adicionados.map((l) => [l.nome, l.parte]), [['Dra. Ana', 'MARIA']]);
+    assert.deepEqual(diff.advogados.removidos.map((l) => l.nome), ['Dr. João']);
+    assert.deepEqual(diff.campos, [{ campo: 'juiz', antes: 'Juiz A', depois: 'Juiz B' }]);
+    assert.deepEqual(changedSections(diff), ['movimentacoes', 'partes', 'advogados', 'juiz']);
+  });
+});
+
+describe('recordSnapshot', () => {
+  it('grava versão nova só quando algo muda', async () => {
+    const tenant = 'hist-a';
+    const v1 = await recordSnapshot({ tenant, cnj: CNJ, requestId: 'r1', poll: poll(lawsuit()), at: Date.UTC(2025, 0, 1) });
+    const same = await recordSnapshot({ tenant, cnj: CNJ, requestId: 'r2', poll: poll(lawsuit()), at: Date.UTC(2025, 0, 2) });
+    assert.equal(v1.id, 'v1');
+    assert.equal(same.id, 'v1');
+    assert.equal(same.verificado_em, '2025-01-02T00:00:00.000Z');
+
+    const steps = [{ step_id: 's2', step_date: '2025-02-01T10:00:00Z', content: 'Citação' }, ...lawsuit().steps];
+    const v2 = await recordSnapshot({ tenant, cnj: CNJ, requestId: 'r3', poll: poll(lawsuit({ steps, judge: 'Juiz B' })) });
+    assert.equal(v2.id, 'v2');
+    assert.deepEqual(v2.mudancas, ['movimentacoes', 'juiz']);
+
+    const index = await listSnapshots(tenant, CNJ);
+    assert.deepEqual(index.map((e) => e.id), ['v1', 'v2']);
+    assert.ok(index.every((e) => !('hash' in e)));
+  });
+
+  it('processo de outro CNJ ou resultado incompleto não grava', async () => {
+    assert.equal(await recordSnapshot({ tenant: 'hist-b', cnj: '0000000-00.2025.8.05.0001', poll: poll(lawsuit()) }), null);
+    assert.equal(await recordSnapshot({ tenant: 'hist-b', cnj: CNJ, poll: { ...poll(lawsuit()), isCompleted: false } }), null);
+    assert.deepEqual(await listSnapshots('hist-b', CNJ), []);
+  });
+
+  it('loadSnapshot aplica a política LGPD na leitura', async () => {
+    await recordSnapshot({ tenant: 'hist-c', cnj: CNJ, poll: poll(lawsuit()) });
+    const { snapshot, report } = await loadSnapshot('hist-c', CNJ, 'v1', { documentos: 'mascarar', nomes: true, privados: false, sigiloMaximo: null, acimaDoSigilo: 'reduzir' });
+    assert.equal(snapshot.partes[0].nome, null);
+    assert.equal(snapshot.partes[0].documento, '•••.456.789-••');
+    assert.deepEqual(report.aplicadas, ['documentos', 'nomes']);
+    assert.equal(await loadSnapshot('hist-c', CNJ, 'v9'), null);
+  });
+});
@@ -0,0 +1,83 @@
+// test/listing.test.js
+// Período, busca, paginação por offset/cursor e projeção de campos da rota full (lib/listing.js)
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { filterListing, paginate, projectFields, readListingOptions } from '../lib/listing.js';
+
+// Ordem DESC, como em sortedSteps
+const steps = [
+  { step_id: 's5', step_date: '2025-05-01T10:00:00Z', content: 'Sentença de procedência' },
+  { step_id: 's4', step_date: '2025-04-01T10:00:00Z', content: 'Conclusos para sentença' },
+  { step_id: 's3', step_date: '2025-03-01T10:00:00Z', content: 'Juntada de petição' },
+  { step_id: 's2', step_date: '2025-02-01T10:00:00Z', content: 'Citação do réu' },
+  { step_id: 's1', step_date: '2025-01-01T10:00:00Z', content: 'Distribuído por sorteio' }
+];
+const ids = (list) => list.map((s) => s.step_id);
+const options = (query) => readListingOptions(new URLSearchParams(query));
+
+describe('readListingOptions', () => {
+  it('valida datas, limit, offset e cursor', () => {
+    assert.match(options('de=2025-13-01').error, /"de"/);
+    assert.match(options('de=2025-05-01&ate=2025-01-01').error, /anterior/);
+    assert.match(options('limit=0').error, /"limit"/);
+    assert.match(options('limit=1001').error, /"limit"/);
+    assert.match(options('offset=-1').error, /"offset"/);
+    assert.match(options('cursor=xyz').error, /"cursor"/);
+    assert.match(options('export=xls').error, /"export"/);
+    assert.equal(options('limit=2&offset=1&q=Sentença').q, 'sentenca');
+  });
+});
+
+describe('filterListing', () => {
+  it('período inclusivo e todos os termos de q, sem acento', () => {
+    assert.deepEqual(ids(filterListing(steps, { de: '2025-02-01', ate: '2025-04-01' })), ['s4', 's3', 's2']);
+    assert.deepEqual(ids(filterListing(steps, { q: 'sentenca conclusos' })), ['s4']);
+    assert.equal(filterListing(steps, {}), steps);
+  });
+});
+
+describe('paginate', () => {
+  it('sem limit/offset/cursor devolve tudo, sem info', () => {
+    assert.deepEqual(paginate(steps), { steps, info: null });
+  });
+
+  it('offset e próxima página', () => {
+    const { steps: page, info } = paginate(steps, { limit: 2, offset: 2 });
+    assert.deepEqual(ids(page), ['s3', 's2']);
+    assert.equal(info.total, 5);
+    assert.equal(info.proximo_offset, 4);
+  });
+
+  it('cursor percorre todas as páginas sem repetir', () => {
+    const seen = [];
+    let cursor = null;
+    do {
+      const { steps: page, info } = paginate(steps, { limit: 2, cursor });
+      seen.push(...ids(page));
+      cursor = info.proximo_cursor ? options(`cursor=${info.proximo_cursor}`).cursor : null;
+    } while (cursor);
+    assert.deepEqual(seen, ['s5', 's4', 's3', 's2', 's1']);
+  });
+
+  it('cursor estável quando chegam movimentações novas', () => {
+    const first = paginate(steps, { limit: 2 });
+    const cursor = options(`cursor=${first.info.proximo_cursor}`).cursor;
+    const newer = [{ step_id: 's6', step_date: '2025-06-01T10:00:00Z', content: 'Trânsito em julgado' }, ...steps];
+    assert.deepEqual(ids(paginate(newer, { limit: 2, cursor }).steps), ['s3', 's2']);
+  });
+
+  it('step do cursor removido: continua pelo primeiro mais antigo', () => {
+    const first = paginate(steps, { limit: 2 });
+    const cursor = options(`cursor=${first.info.proximo_cursor}`).cursor;
+    const without = steps.filter((s) => s.step_id !== 's4');
+    assert.deepEqual(ids(paginate(without, { limit: 2, cursor }).steps), ['s3', 's2']);
+  });
+});
+
+describe('projectFields', () => {
+  it('só os caminhos pedidos, também dentro de listas', () => {
+    const body = { cnj: 'x', status: 'ATIVO', movimentacoes: [{ id: 1, data: 'd', conteudo: 'c' }] };
+    assert.deepEqual(projectFields(body, ['cnj', 'movimentacoes.data']), { cnj: 'x', movimentacoes: [{ data: 'd' }] });
+  });
+});
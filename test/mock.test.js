@@ -0,0 +1,139 @@
+// test/mock.test.js
+// Smoke test das rotas min, full e batch contra os cenários do modo mock (lib/mock.js): nenhuma chamada sai para a JUDIT.
+// npm test (node --test)
+
+import assert from 'node:assert/strict';
+import { before, describe, it } from 'node:test';
+
+const CNJ = '8030912-11.2022.8.05.0080';
+
+let min;
+let full;
+let batch;
+
+before(async () => {
+  Object.assign(process.env, {
+    JUDIT_MOCK: '1',
+    JUDIT_MOCK_DELAY_MS: '0',
+    JUDIT_MAX_RETRIES: '0',
+    JUDIT_CIRCUIT_THRESHOLD: '1000',
+    PROXY_CACHE_TTL_MS: '0',
+    PROXY_LOG: '0'
+  });
+  delete process.env.PROXY_CLIENTS;
+  ({ default: min } = await import('../api/judit/movimentacoes/min.js'));
+  ({ default: full } = await import('../api/judit/movimentacoes/full.js'));
+  ({ default: batch } = await import('../api/judit/movimentacoes/batch.js'));
+});
+
+// req/res mínimos no formato das Serverless Functions da Vercel
+async function call(handler, path, { method = 'GET', body = null } = {}) {
+  const headers = {};
+  const res = {
+    statusCode: 200,
+    body: null,
+    headersSent: false,
+    setHeader(k, v) { headers[k.toLowerCase()] = v; return this; },
+    getHeader(k) { return headers[k.toLowerCase()]; },
+    status(s) { this.statusCode = s; return this; },
+    send(b) { this.body = b; this.headersSent = true; return this; },
+    write(chunk) { this.body = (this.body || '') + chunk; this.headersSent = true; return true; },
+    end(chunk) { if (chunk) this.write(chunk); }
+  };
+  await handler({ url: path, method, headers: { host: 'localhost' }, body }, res);
+  return { status: res.statusCode, headers, json: res.body ? JSON.parse(res.body) : null };
+}
+
+describe('min (mock)', () => {
+  it('concluido: 6 chaves preenchidas', async () => {
+    const r = await call(min, `/api/judit/movimentacoes/min?cnj=${CNJ}&cenario=concluido`);
+    assert.equal(r.status, 200);
+    assert.equal(r.headers['x-proxy-codigo'], 'OK');
+    assert.deepEqual(Object.keys(r.json).sort(), [
+      'cnj', 'fonte', 'processo', 'status', 'ultima_movimentacao', 'ultima_movimentacao_data'
+    ]);
+    assert.equal(r.json.cnj, CNJ);
+    assert.match(r.json.ultima_movimentacao.conteudo, /Sentença/);
+  });
+
+  it('parcial: conclui depois de JUDIT_MOCK_DELAY_MS', async () => {
+    const r = await call(min, `/api/judit/movimentacoes/min?cnj=${CNJ}&cenario=parcial&waitMs=0`);
+    assert.equal(r.status, 200);
+    assert.equal(r.headers['x-proxy-codigo'], 'OK');
+  });
+
+  it('nunca_conclui: 202 TIMEOUT com job', async () => {
+    const r = await call(min, `/api/judit/movimentacoes/min?cnj=${CNJ}&cenario=nunca_conclui&waitMs=0`);
+    assert.equal(r.status, 202);
+    assert.equal(r.headers['x-proxy-codigo'], 'TIMEOUT');
+    assert.ok(r.headers['x-judit-job']);
+  });
+
+  it('nao_encontrado: 202 como no contrato original, com o código no header', async () => {
+    const r = await call(min, `/api/judit/movimentacoes/min?cnj=${CNJ}&cenario=nao_encontrado&erro=1`);
+    assert.equal(r.status, 202);
+    assert.equal(r.headers['x-proxy-codigo'], 'NAO_ENCONTRADO');
+    assert.equal(r.json.erro.codigo, 'NAO_ENCONTRADO');
+  });
+
+  it('limite: 429 LIMITE_EXCEDIDO', async () => {
+    const r = await call(min, `/api/judit/movimentacoes/min?cnj=${CNJ}&cenario=limite&erro=1`);
+    assert.equal(r.status, 429);
+    assert.equal(r.json.erro.codigo, 'LIMITE_EXCEDIDO');
+  });
+
+  it('segredo: concluída, marcada como SEGREDO_DE_JUSTICA', async () => {
+    const r = await call(min, `/api/judit/movimentacoes/min?cnj=${CNJ}&cenario=segredo`);
+    assert.equal(r.status, 200);
+    assert.equal(r.headers['x-proxy-codigo'], 'SEGREDO_DE_JUSTICA');
+  });
+});
+
+describe('full (mock)', () => {
+  it('concluido: processo, movimentações, prazos e audiências', async () => {
+    const r = await call(full, `/api/judit/movimentacoes/full?cnj=${CNJ}&cenario=concluido`);
+    assert.equal(r.status, 200);
+    assert.equal(r.json.cnj, CNJ);
+    assert.equal(r.json.movimentacoes.length, 5);
+    assert.ok(r.json.prazos.length > 0);
+    assert.equal(r.json.audiencias[0].data, '2024-05-15');
+    assert.equal(r.json.audiencias[0].hora, '14:00');
+  });
+
+  it('instancias: 1º e 2º grau em páginas separadas', async () => {
+    const r = await call(full, `/api/judit/movimentacoes/full?cnj=${CNJ}&cenario=instancias`);
+    assert.equal(r.status, 200);
+    assert.equal(r.json.instancias.length, 2);
+    assert.equal(r.json.movimentacoes.length, 7);
+  });
+
+  it('anexos: links de download por anexo', async () => {
+    const r = await call(full, `/api/judit/movimentacoes/full?cnj=${CNJ}&cenario=anexos&withAttachments=1&includeAttachments=1`);
+    assert.equal(r.status, 200);
+    assert.equal(r.json.anexos.length, 2);
+    assert.ok(r.json.anexos.every((a) => a.url?.includes('/api/judit/anexos/')));
+  });
+});
+
+describe('batch (mock)', () => {
+  it('um item por CNJ, com http_status da taxonomia', async () => {
+    const r = await call(batch, '/api/judit/movimentacoes/batch?cenario=concluido', {
+      method: 'POST', body: { cnjs: [CNJ, '123'], waitMs: 0 }
+    });
+    assert.equal(r.status, 200);
+    const [ok, invalid] = r.json.resultados;
+    assert.equal(ok.status, 'completed');
+    assert.equal(ok.http_status, 200);
+    assert.equal(invalid.status, 'invalid');
+    assert.equal(invalid.http_status, 400);
+  });
+
+  it('limite: erro por item com 429', async () => {
+    const r = await call(batch, '/api/judit/movimentacoes/batch?cenario=limite', {
+      method: 'POST', body: { cnjs: [CNJ], waitMs: 0 }
+    });
+    const [item] = r.json.resultados;
+    assert.equal(item.codigo, 'LIMITE_EXCEDIDO');
+    assert.equal(item.http_status, 429);
+  });
+});
@@ -0,0 +1,75 @@
+// test/quota.test.js
+// Cota diária só é descontada depois que a rota valida a entrada (lib/auth.js chargeQuota), no modo mock
+
+import assert from 'node:assert/strict';
+import { before, describe, it } from 'node:test';
+
+const CNJ = '8030912-11.2022.8.05.0080';
+
+let min;
+let batch;
+
+before(async () => {
+  Object.assign(process.env, {
+    JUDIT_MOCK: '1',
+    JUDIT_MOCK_DELAY_MS: '0',
+    JUDIT_MAX_RETRIES: '0',
+    PROXY_CACHE_TTL_MS: '0',
+    PROXY_LOG: '0',
+    PROXY_CLIENTS: JSON.stringify([
+      { id: 'min', key: 'k-min', dailyQuota: 2 },
+      { id: 'lote', key: 'k-lote', dailyQuota: 3 }
+    ])
+  });
+  ({ default: min } = await import('../api/judit/movimentacoes/min.js'));
+  ({ default: batch } = await import('../api/judit/movimentacoes/batch.js'));
+});
+
+async function call(handler, path, key, { method = 'GET', body = null } = {}) {
+  const headers = {};
+  const res = {
+    statusCode: 200,
+    body: null,
+    headersSent: false,
+    setHeader(k, v) { headers[k.toLowerCase()] = v; return this; },
+    getHeader(k) { return headers[k.toLowerCase()]; },
+    status(s) { this.statusCode = s; return this; },
+    send(b) { this.body = b; this.headersSent = true; return this; },
+    write(chunk) { this.body = (this.body || '') + chunk; this.headersSent = true; return true; },
+    end(chunk) { if (chunk) this.write(chunk); }
+  };
+  await handler({ url: path, method, headers: { host: 'localhost', 'x-api-key': key }, body }, res);
+  return { status: res.statusCode, headers, json: res.body ? JSON.parse(res.body) : null };
+}
+
+describe('cota diária', () => {
+  it('CNJ inválido ou parâmetro inválido não gasta cota', async () => {
+    const invalid = [
+      'cnj=123', `cnj=${CNJ.replace('-11', '-12')}`, '', `cnj=${CNJ}&lgpd=apagar`, `cnj=${CNJ}&callbackUrl=https://127.0.0.1/hook`
+    ];
+    for (const query of invalid) {
+      const r = await call(min, `/api/judit/movimentacoes/min?${query}&erro=1`, 'k-min');
+      assert.ok(r.status >= 400 && r.status < 500, `${query}: ${r.status}`);
+      assert.notEqual(r.headers['x-proxy-codigo'], 'COTA_EXCEDIDA');
+    }
+    const ok = await call(min, `/api/judit/movimentacoes/min?cnj=${CNJ}&cenario=concluido`, 'k-min');
+    assert.equal(ok.status, 200);
+    assert.equal(ok.headers['x-quota-remaining'], '1');
+  });
+
+  it('esgotada: 429 COTA_EXCEDIDA', async () => {
+    assert.equal((await call(min, `/api/judit/movimentacoes/min?cnj=${CNJ}&cenario=concluido`, 'k-min')).status, 200);
+    const r = await call(min, `/api/judit/movimentacoes/min?cnj=${CNJ}&cenario=concluido&erro=1`, 'k-min');
+    assert.equal(r.status, 429);
+    assert.equal(r.json.erro.codigo, 'COTA_EXCEDIDA');
+    assert.ok(r.headers['retry-after']);
+  });
+
+  it('lote desconta só os CNJs válidos', async () => {
+    const r = await call(batch, '/api/judit/movimentacoes/batch?cenario=concluido', 'k-lote', {
+      method: 'POST', body: { cnjs: [CNJ, '123', 'abc'], waitMs: 0 }
+    });
+    assert.equal(r.status, 200);
+    assert.equal(r.headers['x-quota-remaining'], '2');
+  });
+});
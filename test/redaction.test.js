@@ -0,0 +1,99 @@
+// test/redaction.test.js
+// Política LGPD: diretivas, política do cliente endurecida pela query e redação das responses (lib/redaction.js)
+
+import assert from 'node:assert/strict';
+import { afterEach, describe, it } from 'node:test';
+import { readRedactionOption, redactPoll, redactResponses, resolveRedaction } from '../lib/redaction.js';
+
+const policyOf = (value) => readRedactionOption(new URLSearchParams({ lgpd: value })).lgpd;
+
+const lawsuit = (extra = {}) => ({
+  code: '8030912-11.2022.8.05.0080',
+  secrecy_level: 0,
+  parties: [
+    { name: 'Maria da Silva', person_type: 'Física', main_document: '123.456.789-09', lawyers: [{ name: 'Dr. João', oab: 'BA12345' }] },
+    { name: 'Empresa X Ltda', person_type: 'Jurídica', main_document: '12.345.678/0001-90', lawyers: [] }
+  ],
+  steps: [
+    { step_id: '1', step_date: '2025-01-02', content: 'Citada Maria da Silva, CPF 123.456.789-09.' },
+    { step_id: '2', step_date: '2025-01-01', content: 'Movimentação sigilosa.', private: true }
+  ],
+  ...extra
+});
+
+afterEach(() => {
+  delete process.env.PROXY_LGPD_SALT;
+});
+
+describe('diretivas', () => {
+  it('atalhos e sigilo:N', () => {
+    assert.deepEqual(policyOf('padrao'), { documentos: 'mascarar', nomes: false, privados: true, sigiloMaximo: null, acimaDoSigilo: 'reduzir' });
+    assert.deepEqual(policyOf('total'), { documentos: 'hash', nomes: true, privados: true, sigiloMaximo: 0, acimaDoSigilo: 'reduzir' });
+    assert.equal(policyOf('sigilo:2,sigilo:1,recusar').sigiloMaximo, 1);
+  });
+
+  it('diretiva desconhecida vira erro de parâmetro', () => {
+    assert.match(readRedactionOption(new URLSearchParams({ lgpd: 'apagar' })).error, /desconhecida/);
+  });
+
+  it('a query só endurece a política do cliente', () => {
+    const policy = resolveRedaction({ lgpd: 'mascarar,sigilo:1' }, policyOf('nomes,sigilo:3'));
+    assert.equal(policy.documentos, 'mascarar');
+    assert.equal(policy.nomes, true);
+    assert.equal(policy.sigiloMaximo, 1);
+    assert.equal(resolveRedaction({}, null), null);
+  });
+
+  it('hash sem PROXY_LGPD_SALT: CONFIGURACAO_AUSENTE antes da busca', () => {
+    assert.throws(() => resolveRedaction({}, policyOf('hash')), { status: 500, codigo: 'CONFIGURACAO_AUSENTE' });
+    process.env.PROXY_LGPD_SALT = 'sal';
+    assert.equal(resolveRedaction({}, policyOf('hash')).documentos, 'hash');
+  });
+});
+
+describe('redactResponses', () => {
+  it('mascarar + nomes + privados', () => {
+    const { responses: [rd], report } = redactResponses([lawsuit()], policyOf('mascarar,nomes,privados'));
+    const [person, company] = rd.parties;
+    assert.equal(person.name, null);
+    assert.equal(person.main_document, '•••.456.789-••');
+    assert.equal(person.lawyers[0].name, 'Dr. João');
+    assert.equal(company.name, 'Empresa X Ltda');
+    assert.equal(company.main_document, '12.345.678/••••-••');
+    assert.equal(rd.steps.length, 1);
+    assert.equal(rd.steps[0].content, 'Citada [nome omitido], CPF •••.456.789-••.');
+    assert.deepEqual(report.aplicadas, ['documentos', 'nomes', 'movimentacoes_privadas']);
+    assert.equal(report.contagem.movimentacoes_privadas, 1);
+  });
+
+  it('hash: mesmo documento, mesmo hash (com ou sem pontuação)', () => {
+    process.env.PROXY_LGPD_SALT = 'sal';
+    const { responses: [rd] } = redactResponses([lawsuit()], policyOf('hash'));
+    assert.match(rd.parties[0].main_document, /^hash:[0-9a-f]{16}$/);
+    assert.ok(rd.steps[0].content.includes(rd.parties[0].main_document));
+  });
+
+  it('sigilo: reduz à capa ou recusa', () => {
+    const secret = lawsuit({ secrecy_level: 2 });
+    const reduced = redactResponses([secret], policyOf('sigilo:1'));
+    assert.deepEqual(reduced.responses[0].parties, []);
+    assert.deepEqual(reduced.responses[0].steps, []);
+    assert.deepEqual(reduced.report.aplicadas, ['sigilo_reduzido']);
+    assert.equal(redactResponses([secret], policyOf('sigilo:1,recusar')).responses.length, 0);
+  });
+});
+
+describe('redactPoll', () => {
+  it('recusa de qualquer instância derruba o resultado inteiro', () => {
+    const poll = { isCompleted: true, completed: { request_status: 'completed' }, responses: [{ response_data: lawsuit() }, { response_data: lawsuit({ secrecy_level: 3 }) }] };
+    const out = redactPoll(poll, policyOf('sigilo:2,recusar'));
+    assert.equal(out.refused, true);
+    assert.equal(out.poll.isCompleted, false);
+    assert.deepEqual(out.poll.responses, []);
+  });
+
+  it('sem política devolve o mesmo poll', () => {
+    const poll = { isCompleted: true, responses: [] };
+    assert.equal(redactPoll(poll, null).poll, poll);
+  });
+});
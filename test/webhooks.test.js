@@ -0,0 +1,55 @@
+// test/webhooks.test.js
+// Guarda das URLs de callback e assinatura dos webhooks (lib/webhooks.js)
+
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import { describe, it } from 'node:test';
+import { isValidCallbackUrl, signPayload } from '../lib/webhooks.js';
+
+describe('isValidCallbackUrl', () => {
+  const accepted = [
+    'https://hooks.example.com/zaia',
+    'https://hooks.example.com:8443/zaia?x=1',
+    'https://8.8.8.8/hook',
+    'https://[2001:4860:4860::8888]/hook'
+  ];
+  const refused = [
+    'http://hooks.example.com/zaia',
+    'ftp://hooks.example.com/zaia',
+    'não é url',
+    '',
+    'https://localhost/hook',
+    'https://api.localhost/hook',
+    'https://nas.local/hook',
+    'https://metadata.google.internal/hook',
+    'https://127.0.0.1/hook',
+    'https://127.1.2.3/hook',
+    'https://0.0.0.0/hook',
+    'https://10.0.0.5/hook',
+    'https://172.16.0.1/hook',
+    'https://172.31.255.255/hook',
+    'https://192.168.1.10/hook',
+    'https://169.254.169.254/latest/meta-data',
+    'https://100.64.0.1/hook',
+    'https://[::1]/hook',
+    'https://[fc00::1]/hook',
+    'https://[fd12:3456::1]/hook',
+    'https://[fe80::1]/hook',
+    'https://[::ffff:127.0.0.1]/hook',
+    'https://[::ffff:10.0.0.1]/hook'
+  ];
+
+  for (const url of accepted) it(`aceita ${url}`, () => assert.equal(isValidCallbackUrl(url), true));
+  for (const url of refused) it(`recusa ${url || '(vazia)'}`, () => assert.equal(isValidCallbackUrl(url), false));
+
+  it('172.32.0.1 fica fora de 172.16.0.0/12', () => {
+    assert.equal(isValidCallbackUrl('https://172.32.0.1/hook'), true);
+  });
+});
+
+describe('signPayload', () => {
+  it('hex(HMAC-SHA256(secret, "<timestamp>.<corpo>"))', () => {
+    const expected = createHmac('sha256', 's3cr3t').update('1700000000.{"a":1}').digest('hex');
+    assert.equal(signPayload('{"a":1}', '1700000000', 's3cr3t'), expected);
+  });
+});